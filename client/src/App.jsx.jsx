@@ -1,31 +1,57 @@
-import React, { useState, useEffect, useContext, useRef } from 'react';
+import React, { useState, useEffect, useContext, useRef, useCallback } from 'react';
 import Whiteboard from './components/whiteboard';
 import UserPanel from './components/UserPanel';
 import VideoCall from './components/VideoCall';
+import RoomJoinModal from './components/RoomJoinModal';
+import Notification from './components/Notification';
+import ChatPanel from './components/ChatPanel';
 import { SocketContext } from './context/SocketContext';
 import { EVENTS } from './utils/constants';
+import { getRoomIdFromUrl, buildInviteLink } from './utils/room';
 
 function App() {
   const socket = useContext(SocketContext);
   const [users, setUsers] = useState([]);
-  const [roomId] = useState('default-room');
+  const [roomId, setRoomId] = useState(() => getRoomIdFromUrl());
+  const [userName, setUserName] = useState(null);
   const [currentUser, setCurrentUser] = useState(null);
   const [elements, setElements] = useState([]);
+  const [notification, setNotification] = useState(null);
+  const [followUserId, setFollowUserId] = useState(null); // Presenter whose view we mirror
   const whiteboardRef = useRef(null);
+  // Capacity asked for in the join modal; only applies if the room is new
+  const capacityRef = useRef(undefined);
+
+  const notify = useCallback((message, type = 'success') => {
+    setNotification({ id: Date.now(), message, type });
+  }, []);
+
+  const dismissNotification = useCallback(() => {
+    setNotification(null);
+  }, []);
 
   useEffect(() => {
-    if (!socket) return;
+    if (!socket || !roomId || !userName) return;
 
-    // Generate a random user name
-    const userName = `User_${Math.floor(Math.random() * 1000)}`;
-    const user = {
-      id: socket.id,
-      name: userName
-    };
-    setCurrentUser(user);
+    const joinRoom = () => {
+      const user = {
+        id: socket.id,
+        name: userName
+      };
+      setCurrentUser(user);
+      setElements([]);
 
-    // Join room
-    socket.emit(EVENTS.JOIN_ROOM, { roomId, user });
+      // Join room
+      socket.emit(EVENTS.JOIN_ROOM, { roomId, user, capacity: capacityRef.current });
+
+      // Add current user to the list
+      setUsers(prev => {
+        if (!prev.find(u => u.id === user.id)) {
+          return [...prev, user];
+        }
+        return prev;
+      });
+    };
 
     // Listen for user events
     const handleUserJoined = (data) => {
@@ -45,24 +71,91 @@ function App() {
       setUsers(data.users || []);
     };
 
+    // Stored elements of the room, sent right after joining
+    const handleBoardState = (boardElements) => {
+      setElements(boardElements || []);
+    };
+
+    const handleRoomFull = (data) => {
+      notify(`Room "${data.roomId}" is full (max ${data.capacity} users)`, 'error');
+      setCurrentUser(null);
+      setUserName(null);
+      setUsers([]);
+    };
+
     socket.on(EVENTS.USER_JOINED, handleUserJoined);
     socket.on(EVENTS.USER_LEFT, handleUserLeft);
     socket.on('room-users', handleRoomUsers);
+    socket.on('board-state', handleBoardState);
+    socket.on(EVENTS.ROOM_FULL, handleRoomFull);
+    // A reconnect gets a new socket id, so join again
+    socket.on('connect', joinRoom);
 
-    // Add current user to the list
-    setUsers(prev => {
-      if (!prev.find(u => u.id === user.id)) {
-        return [...prev, user];
-      }
-      return prev;
-    });
+    if (socket.connected) {
+      joinRoom();
+    }
 
     return () => {
       socket.off(EVENTS.USER_JOINED, handleUserJoined);
       socket.off(EVENTS.USER_LEFT, handleUserLeft);
       socket.off('room-users', handleRoomUsers);
+      socket.off('board-state', handleBoardState);
+      socket.off(EVENTS.ROOM_FULL, handleRoomFull);
+      socket.off('connect', joinRoom);
+      // Leave before joining another room or unmounting
+      socket.emit(EVENTS.LEAVE_ROOM, { roomId });
     };
-  }, [socket, roomId]);
+  }, [socket, roomId, userName, notify]);
+
+  // Stop following people who left, and when switching rooms
+  useEffect(() => {
+    if (followUserId && !users.some(u => u.id === followUserId)) {
+      setFollowUserId(null);
+    }
+  }, [users, followUserId]);
+
+  const handleToggleFollow = (userId) => {
+    setFollowUserId(current => (current === userId ? null : userId));
+  };
+
+  const handleStopFollowing = useCallback(() => {
+    setFollowUserId(null);
+  }, []);
+
+  const handleJoin = (name, nextRoomId, capacity) => {
+    capacityRef.current = capacity;
+    setRoomId(nextRoomId);
+    setUserName(name);
+    // Keep the address bar shareable
+    window.history.replaceState(null, '', buildInviteLink(nextRoomId));
+  };
+
+  const handleLeaveRoom = () => {
+    // Clearing the user name tears down the room effect, which emits LEAVE_ROOM
+    setUserName(null);
+    setCurrentUser(null);
+    setUsers([]);
+    setElements([]);
+    notify(`Left room "${roomId}"`, 'info');
+  };
+
+  const handleCopyInviteLink = async () => {
+    const link = buildInviteLink(roomId);
+    try {
+      await navigator.clipboard.writeText(link);
+      notify('Invite link copied to clipboard');
+    } catch (err) {
+      // Clipboard API is unavailable outside secure contexts
+      window.prompt('Copy this invite link', link);
+    }
+  };
+
+  // Chat messages that mention "@(x, y)" jump the board to that spot
+  const handleJumpTo = ({ x, y }) => {
+    if (whiteboardRef.current) {
+      whiteboardRef.current.focusPoint(x, y);
+    }
+  };
 
   // Header toolbar actions
   const handleErase = () => {
@@ -74,6 +167,12 @@ function App() {
 
   return (
     <div className="app">
+      <RoomJoinModal
+        isVisible={!currentUser}
+        defaultRoomId={roomId}
+        onJoin={handleJoin}
+      />
+
       <div className="main-content">
         <div className="header">
           <div className="header-left">
@@ -81,6 +180,27 @@ function App() {
           </div>
           
           <div className="header-toolbar">
+            {currentUser && (
+              <>
+                <span className="room-label" title="Current room">
+                  # {roomId}
+                </span>
+                <button
+                  className="header-btn"
+                  onClick={handleCopyInviteLink}
+                  title="Copy a link others can use to join this room"
+                >
+                  🔗 Copy invite link
+                </button>
+                <button
+                  className="header-btn"
+                  onClick={handleLeaveRoom}
+                  title="Leave this room"
+                >
+                  🚪 Leave
+                </button>
+              </>
+            )}
           </div>
         </div>
         
@@ -88,19 +208,48 @@ function App() {
           ref={whiteboardRef}
           roomId={roomId} 
           users={users}
+          currentUser={currentUser}
           elements={elements}
           setElements={setElements}
           onErase={handleErase}
+          followUserId={followUserId}
+          onStopFollowing={handleStopFollowing}
+        />
+        <VideoCall
+          roomId={roomId}
+          users={users}
+          currentUser={currentUser}
         />
-        <VideoCall />
       </div>
       
-      {/* <UserPanel 
-        users={users} 
+      {currentUser && (
+        <UserPanel
+          users={users}
+          roomId={roomId}
+          currentUser={currentUser}
+          followUserId={followUserId}
+          onToggleFollow={handleToggleFollow}
+          onErase={handleErase}
+        />
+      )}
+
+      <ChatPanel
         roomId={roomId}
-      /> */}
+        currentUser={currentUser}
+        onNotify={notify}
+        onJumpTo={handleJumpTo}
+      />
+
+      {notification && (
+        <Notification
+          key={notification.id}
+          message={notification.message}
+          type={notification.type}
+          onClose={dismissNotification}
+        />
+      )}
     </div>
   );
 }
 
-export default App;
\ No newline at end of file
+export default App;
@@ -0,0 +1,36 @@
+import React, { useEffect, useState } from 'react';
+import { Image } from 'react-konva';
+import { loadImage } from '../utils/images';
+import { resolveAssetUrl } from '../utils/api';
+
+/*
+ * Konva Image for an image element. Until the picture has loaded (or when it
+ * fails to) a dashed placeholder of the same size is drawn instead.
+ */
+const BoardImage = ({ src, ...props }) => {
+  const [image, setImage] = useState(null);
+
+  useEffect(() => {
+    let cancelled = false;
+    setImage(null);
+    loadImage(resolveAssetUrl(src))
+      .then(img => {
+        if (!cancelled) setImage(img);
+      })
+      .catch(err => console.error(err.message, src.slice(0, 64)));
+    return () => {
+      cancelled = true;
+    };
+  }, [src]);
+
+  return (
+    <Image
+      image={image}
+      stroke={image ? undefined : '#cbd5e1'}
+      dash={image ? undefined : [6, 6]}
+      {...props}
+    />
+  );
+};
+
+export default BoardImage;
@@ -0,0 +1,140 @@
+import React, { useState, useEffect, useContext, useRef } from 'react';
+import { SocketContext } from '../context/SocketContext';
+import { EVENTS } from '../utils/constants';
+import { getUserColor } from '../utils/users';
+
+// Board positions are mentioned as "@(x, y)" or "@x,y"
+const POSITION_PATTERN = /@\(?\s*(-?\d+(?:\.\d+)?)\s*,\s*(-?\d+(?:\.\d+)?)\s*\)?/;
+
+const findPosition = (text) => {
+  const match = text.match(POSITION_PATTERN);
+  return match ? { x: parseFloat(match[1]), y: parseFloat(match[2]) } : null;
+};
+
+const formatTime = (timestamp) =>
+  new Date(timestamp).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+
+const ChatPanel = ({ roomId, currentUser, onNotify, onJumpTo }) => {
+  const socket = useContext(SocketContext);
+  const [messages, setMessages] = useState([]);
+  const [draft, setDraft] = useState('');
+  const [isOpen, setIsOpen] = useState(false);
+  const [unreadCount, setUnreadCount] = useState(0);
+  const listRef = useRef(null);
+  const isOpenRef = useRef(isOpen);
+  isOpenRef.current = isOpen;
+
+  useEffect(() => {
+    if (!socket || !roomId) return;
+    setMessages([]);
+    setUnreadCount(0);
+
+    const handleHistory = (history) => {
+      setMessages(history || []);
+    };
+
+    const handleMessage = (message) => {
+      setMessages(prev => [...prev, message]);
+      if (!isOpenRef.current && message.userId !== socket.id) {
+        setUnreadCount(count => count + 1);
+        onNotify && onNotify(`💬 ${message.userName}: ${message.text}`, 'info');
+      }
+    };
+
+    socket.on(EVENTS.MESSAGE_HISTORY, handleHistory);
+    socket.on(EVENTS.MESSAGE_RECEIVE, handleMessage);
+
+    return () => {
+      socket.off(EVENTS.MESSAGE_HISTORY, handleHistory);
+      socket.off(EVENTS.MESSAGE_RECEIVE, handleMessage);
+    };
+  }, [socket, roomId, onNotify]);
+
+  // Keep the newest message in view
+  useEffect(() => {
+    if (isOpen && listRef.current) {
+      listRef.current.scrollTop = listRef.current.scrollHeight;
+    }
+  }, [messages, isOpen]);
+
+  const handleToggle = () => {
+    setIsOpen(!isOpen);
+    setUnreadCount(0);
+  };
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    if (!draft.trim()) return;
+    socket.emit(EVENTS.MESSAGE_SEND, { roomId, text: draft });
+    setDraft('');
+  };
+
+  if (!currentUser) return null;
+
+  if (!isOpen) {
+    return (
+      <button className="chat-toggle" onClick={handleToggle} title="Open chat">
+        💬
+        {unreadCount > 0 && <span className="chat-badge">{unreadCount}</span>}
+      </button>
+    );
+  }
+
+  return (
+    <aside className="chat-panel">
+      <div className="chat-header">
+        <h3>Chat</h3>
+        <button className="close-btn" onClick={handleToggle} title="Close chat">
+          ✕
+        </button>
+      </div>
+
+      <div className="chat-messages" ref={listRef}>
+        {messages.length === 0 ? (
+          <div className="empty-state">
+            <p>No messages yet. Mention a spot with @(x, y).</p>
+          </div>
+        ) : (
+          messages.map(message => {
+            const position = findPosition(message.text);
+            const isOwn = message.userId === currentUser.id;
+            return (
+              <div
+                key={message.id}
+                className={`chat-message ${isOwn ? 'own' : ''} ${position ? 'has-position' : ''}`}
+                onClick={position && onJumpTo ? () => onJumpTo(position) : undefined}
+                title={position ? `Jump to (${position.x}, ${position.y})` : undefined}
+              >
+                <div className="chat-meta">
+                  <span className="chat-author" style={{ color: getUserColor(message.userId) }}>
+                    {isOwn ? 'You' : message.userName}
+                  </span>
+                  <span className="chat-time">{formatTime(message.timestamp)}</span>
+                </div>
+                <div className="chat-text">
+                  {message.text}
+                  {position && <span className="chat-jump"> 📍</span>}
+                </div>
+              </div>
+            );
+          })
+        )}
+      </div>
+
+      <form className="chat-form" onSubmit={handleSubmit}>
+        <input
+          type="text"
+          value={draft}
+          onChange={(e) => setDraft(e.target.value)}
+          placeholder="Message the room..."
+          maxLength={1000}
+        />
+        <button type="submit" className="btn-primary" disabled={!draft.trim()}>
+          Send
+        </button>
+      </form>
+    </aside>
+  );
+};
+
+export default ChatPanel;
@@ -0,0 +1,171 @@
+import React, { useState } from 'react';
+import { SHAPES } from '../utils/constants';
+import { getElementLayer } from '../utils/layers';
+
+const elementLabel = (element) => {
+  if (element.type === SHAPES.TEXT || (element.type === SHAPES.STICKY && element.text)) {
+    const text = String(element.text || '').split('\n')[0];
+    return text.length > 18 ? `“${text.slice(0, 18)}…”` : `“${text}”`;
+  }
+  return element.type.charAt(0).toUpperCase() + element.type.slice(1);
+};
+
+/*
+ * Side panel listing the board's layers (top layer first) and the elements
+ * on each of them. New drawings go to the active layer. Hidden or locked
+ * layers and elements can't be selected, moved or erased.
+ */
+const LayersPanel = ({
+  layers,
+  elements,
+  activeLayerId,
+  selectedIds,
+  onActivateLayer,
+  onAddLayer,
+  onRenameLayer,
+  onToggleLayer,
+  onMoveLayer,
+  onDeleteLayer,
+  onMoveSelectionToLayer,
+  onToggleElement,
+  onSelectElement,
+  onClose
+}) => {
+  const [renaming, setRenaming] = useState(null); // { layerId, value }
+
+  const finishRename = () => {
+    if (renaming && renaming.value.trim()) {
+      onRenameLayer(renaming.layerId, renaming.value.trim());
+    }
+    setRenaming(null);
+  };
+
+  return (
+    <div className="layers-panel">
+      <div className="layers-header">
+        <span>Layers</span>
+        <div>
+          <button onClick={onAddLayer} title="Add layer">＋</button>
+          <button onClick={onClose} title="Close">×</button>
+        </div>
+      </div>
+      <div className="layers-list">
+        {[...layers].reverse().map((layer, i) => {
+          const position = layers.length - 1 - i;
+          // Board order is bottom to top; list the topmost element first
+          const layerElements = elements
+            .filter(el => getElementLayer(el, layers).id === layer.id)
+            .reverse();
+          return (
+            <div
+              key={layer.id}
+              className={`layer ${layer.id === activeLayerId ? 'active' : ''}`}
+            >
+              <div className="layer-row" onClick={() => onActivateLayer(layer.id)}>
+                <button
+                  className="icon-btn"
+                  onClick={(e) => { e.stopPropagation(); onToggleLayer(layer.id, 'visible'); }}
+                  title={layer.visible ? 'Hide layer' : 'Show layer'}
+                >
+                  {layer.visible ? '👁' : '◌'}
+                </button>
+                <button
+                  className="icon-btn"
+                  onClick={(e) => { e.stopPropagation(); onToggleLayer(layer.id, 'locked'); }}
+                  title={layer.locked ? 'Unlock layer' : 'Lock layer'}
+                >
+                  {layer.locked ? '🔒' : '🔓'}
+                </button>
+                {renaming?.layerId === layer.id ? (
+                  <input
+                    className="layer-name-input"
+                    autoFocus
+                    value={renaming.value}
+                    onClick={(e) => e.stopPropagation()}
+                    onChange={(e) => setRenaming({ layerId: layer.id, value: e.target.value })}
+                    onBlur={finishRename}
+                    onKeyDown={(e) => {
+                      if (e.key === 'Enter') finishRename();
+                      if (e.key === 'Escape') setRenaming(null);
+                    }}
+                  />
+                ) : (
+                  <span
+                    className="layer-name"
+                    onDoubleClick={() => setRenaming({ layerId: layer.id, value: layer.name })}
+                    title="Double-click to rename"
+                  >
+                    {layer.name}
+                  </span>
+                )}
+                <span className="layer-count">{layerElements.length}</span>
+                {selectedIds.length > 0 && (
+                  <button
+                    className="icon-btn"
+                    onClick={(e) => { e.stopPropagation(); onMoveSelectionToLayer(layer.id); }}
+                    title="Move selection to this layer"
+                  >
+                    ⇲
+                  </button>
+                )}
+                <button
+                  className="icon-btn"
+                  disabled={position === layers.length - 1}
+                  onClick={(e) => { e.stopPropagation(); onMoveLayer(layer.id, 1); }}
+                  title="Move layer up"
+                >
+                  ▲
+                </button>
+                <button
+                  className="icon-btn"
+                  disabled={position === 0}
+                  onClick={(e) => { e.stopPropagation(); onMoveLayer(layer.id, -1); }}
+                  title="Move layer down"
+                >
+                  ▼
+                </button>
+                <button
+                  className="icon-btn"
+                  disabled={layers.length === 1}
+                  onClick={(e) => { e.stopPropagation(); onDeleteLayer(layer.id); }}
+                  title="Delete layer (its elements move to the next layer)"
+                >
+                  ✕
+                </button>
+              </div>
+              <ul className="layer-elements">
+                {layerElements.map(element => (
+                  <li
+                    key={element.id}
+                    className={`layer-element ${
+                      selectedIds.includes(String(element.id)) ? 'selected' : ''
+                    } ${element.hidden ? 'hidden' : ''}`}
+                    onClick={() => onSelectElement(element.id)}
+                  >
+                    <span className="layer-element-name">{elementLabel(element)}</span>
+                    <button
+                      className="icon-btn"
+                      onClick={(e) => { e.stopPropagation(); onToggleElement(element.id, 'hidden'); }}
+                      title={element.hidden ? 'Show' : 'Hide'}
+                    >
+                      {element.hidden ? '◌' : '👁'}
+                    </button>
+                    <button
+                      className="icon-btn"
+                      onClick={(e) => { e.stopPropagation(); onToggleElement(element.id, 'locked'); }}
+                      title={element.locked ? 'Unlock' : 'Lock'}
+                    >
+                      {element.locked ? '🔒' : '🔓'}
+                    </button>
+                  </li>
+                ))}
+              </ul>
+            </div>
+          );
+        })}
+      </div>
+    </div>
+  );
+};
+
+export default LayersPanel;
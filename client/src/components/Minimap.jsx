@@ -0,0 +1,130 @@
+import React, { useRef } from 'react';
+import { SHAPES } from '../utils/constants';
+import { getBoundsOfElements, getElementBounds, toPointPairs } from '../utils/elements';
+import { getUserColor } from '../utils/users';
+
+const WIDTH = 200;
+const HEIGHT = 130;
+const MARGIN = 40;
+
+// Smallest box containing every rectangle (world coordinates)
+const unionBounds = (boxes) => {
+  const minX = Math.min(...boxes.map(b => b.x));
+  const minY = Math.min(...boxes.map(b => b.y));
+  const maxX = Math.max(...boxes.map(b => b.x + b.width));
+  const maxY = Math.max(...boxes.map(b => b.y + b.height));
+  return { x: minX, y: minY, width: maxX - minX, height: maxY - minY };
+};
+
+const renderElement = (element) => {
+  const stroke = element.color || '#111827';
+  switch (element.type) {
+    case SHAPES.ERASER:
+      return null;
+    case SHAPES.CIRCLE:
+      return (
+        <circle key={element.id} cx={element.x} cy={element.y} r={element.radius} stroke={stroke} />
+      );
+    case SHAPES.TEXT: {
+      // Labels are too small to read here, so show their footprint
+      const box = getElementBounds(element);
+      return (
+        <rect key={element.id} {...box} fill={stroke} fillOpacity={0.3} stroke="none" />
+      );
+    }
+    case SHAPES.STICKY:
+      return (
+        <rect key={element.id} {...getElementBounds(element)} fill={element.fill} stroke="none" />
+      );
+    default:
+      if (element.points) {
+        const points = toPointPairs(element.points).map(p => p.join(',')).join(' ');
+        return [SHAPES.FREEHAND, SHAPES.LINE, SHAPES.ARROW].includes(element.type)
+          ? <polyline key={element.id} points={points} stroke={stroke} />
+          : <polygon key={element.id} points={points} stroke={stroke} />;
+      }
+      return <rect key={element.id} {...getElementBounds(element)} stroke={stroke} />;
+  }
+};
+
+/*
+ * Overview of the whole board with every user's visible area. Clicking or
+ * dragging on it moves the local view there.
+ */
+const Minimap = ({ elements, visibleBounds, remoteViewports = {}, users = [], onNavigate }) => {
+  const svgRef = useRef(null);
+  const draggingRef = useRef(false);
+
+  const remotes = users.filter(user => remoteViewports[user.id]);
+  const contentBounds = getBoundsOfElements(elements);
+  const world = unionBounds([
+    visibleBounds,
+    ...(contentBounds ? [contentBounds] : []),
+    ...remotes.map(user => remoteViewports[user.id])
+  ]);
+  // Keep the map's aspect ratio and leave some room around the edges
+  const scale = Math.min(
+    WIDTH / (world.width + MARGIN * 2),
+    HEIGHT / (world.height + MARGIN * 2)
+  );
+  const viewBox = {
+    width: WIDTH / scale,
+    height: HEIGHT / scale
+  };
+  viewBox.x = world.x + world.width / 2 - viewBox.width / 2;
+  viewBox.y = world.y + world.height / 2 - viewBox.height / 2;
+  const lineWidth = 1 / scale;
+
+  const navigate = (e) => {
+    const rect = svgRef.current.getBoundingClientRect();
+    onNavigate({
+      x: viewBox.x + ((e.clientX - rect.left) / rect.width) * viewBox.width,
+      y: viewBox.y + ((e.clientY - rect.top) / rect.height) * viewBox.height
+    });
+  };
+
+  return (
+    <div className="minimap" title="Click or drag to move your view">
+      <svg
+        ref={svgRef}
+        width={WIDTH}
+        height={HEIGHT}
+        viewBox={`${viewBox.x} ${viewBox.y} ${viewBox.width} ${viewBox.height}`}
+        onMouseDown={(e) => {
+          draggingRef.current = true;
+          navigate(e);
+        }}
+        onMouseMove={(e) => draggingRef.current && navigate(e)}
+        onMouseUp={() => { draggingRef.current = false; }}
+        onMouseLeave={() => { draggingRef.current = false; }}
+      >
+        <g fill="none" strokeWidth={lineWidth * 1.5} strokeLinecap="round" strokeLinejoin="round">
+          {elements.map(renderElement)}
+        </g>
+        {remotes.map(user => {
+          const bounds = remoteViewports[user.id];
+          return (
+            <rect
+              key={user.id}
+              {...bounds}
+              fill={getUserColor(user.id)}
+              fillOpacity={0.08}
+              stroke={getUserColor(user.id)}
+              strokeWidth={lineWidth * 1.5}
+            >
+              <title>{user.name}</title>
+            </rect>
+          );
+        })}
+        <rect
+          {...visibleBounds}
+          className="minimap-own-view"
+          fill="none"
+          strokeWidth={lineWidth * 2}
+        />
+      </svg>
+    </div>
+  );
+};
+
+export default Minimap;
@@ -0,0 +1,167 @@
+import React, { useEffect, useRef } from 'react';
+import { STROKE_STYLES, LINE_CAPS, getStyleKeys, getLineCap } from '../utils/styles';
+
+const DEFAULT_FILL = '#ffffff';
+
+/*
+ * Input that previews every step while it is dragged (sliders, the color
+ * picker) and commits once on the native change event, i.e. when the slider
+ * is released or the picker closes. React's onChange fires on every step, so
+ * the native event is listened to directly.
+ */
+const LiveInput = ({ value, parse = v => v, onPreview, onCommit, ...props }) => {
+  const inputRef = useRef(null);
+  const commitRef = useRef(null);
+  commitRef.current = () => onCommit(parse(inputRef.current.value));
+
+  useEffect(() => {
+    const input = inputRef.current;
+    const handleChange = () => commitRef.current();
+    input.addEventListener('change', handleChange);
+    return () => input.removeEventListener('change', handleChange);
+  }, []);
+
+  return (
+    <input
+      ref={inputRef}
+      value={value}
+      onChange={(e) => onPreview(parse(e.target.value))}
+      {...props}
+    />
+  );
+};
+
+const toFraction = (value) => Number(value) / 100;
+
+/*
+ * Style of the selected elements: stroke color and width, fill, stroke
+ * pattern, line caps and opacity. Values shown are the first element's;
+ * changes apply to every selected element that supports them.
+ */
+const PropertiesPanel = ({ elements, onPreview, onChange, className = '' }) => {
+  const element = elements[0];
+  const keys = new Set(elements.flatMap(getStyleKeys));
+  const opacityPercent = Math.round((element.opacity ?? 1) * 100);
+
+  const live = (key, parse) => ({
+    parse,
+    onPreview: (value) => onPreview({ [key]: value }),
+    onCommit: (value) => onChange({ [key]: value })
+  });
+
+  return (
+    <div className={`properties-panel ${className}`}>
+      <div className="properties-title">
+        {elements.length === 1 ? 'Properties' : `Properties (${elements.length})`}
+      </div>
+
+      {keys.has('color') && (
+        <label className="property-row">
+          <span>Color</span>
+          <LiveInput type="color" value={element.color || '#000000'} {...live('color')} />
+        </label>
+      )}
+
+      {keys.has('strokeWidth') && (
+        <label className="property-row">
+          <span>Stroke {element.strokeWidth || 1}px</span>
+          <LiveInput
+            type="range"
+            min="1"
+            max="20"
+            className="size-slider"
+            value={element.strokeWidth || 1}
+            {...live('strokeWidth', Number)}
+          />
+        </label>
+      )}
+
+      {keys.has('fill') && (
+        <>
+          <div className="property-row">
+            <span>Fill</span>
+            <div className="property-inline">
+              <input
+                type="checkbox"
+                checked={Boolean(element.fill)}
+                onChange={(e) => onChange({ fill: e.target.checked ? DEFAULT_FILL : null })}
+                title="Fill the shape"
+              />
+              <LiveInput
+                type="color"
+                value={element.fill || DEFAULT_FILL}
+                disabled={!element.fill}
+                {...live('fill')}
+              />
+            </div>
+          </div>
+          {element.fill && (
+            <label className="property-row">
+              <span>Fill opacity {Math.round((element.fillOpacity ?? 1) * 100)}%</span>
+              <LiveInput
+                type="range"
+                min="0"
+                max="100"
+                className="size-slider"
+                value={Math.round((element.fillOpacity ?? 1) * 100)}
+                {...live('fillOpacity', toFraction)}
+              />
+            </label>
+          )}
+        </>
+      )}
+
+      {keys.has('strokeStyle') && (
+        <div className="property-row">
+          <span>Stroke</span>
+          <div className="property-options">
+            {STROKE_STYLES.map(style => (
+              <button
+                key={style}
+                className={(element.strokeStyle || 'solid') === style ? 'active' : ''}
+                onClick={() => onChange({ strokeStyle: style })}
+                title={`${style.charAt(0).toUpperCase()}${style.slice(1)} stroke`}
+              >
+                {{ solid: '━', dashed: '╍', dotted: '┉' }[style]}
+              </button>
+            ))}
+          </div>
+        </div>
+      )}
+
+      {keys.has('lineCap') && (
+        <div className="property-row">
+          <span>Line caps</span>
+          <div className="property-options">
+            {LINE_CAPS.map(cap => (
+              <button
+                key={cap}
+                className={getLineCap(element) === cap ? 'active' : ''}
+                // Dotted strokes are always drawn with round caps
+                disabled={element.strokeStyle === 'dotted'}
+                onClick={() => onChange({ lineCap: cap })}
+                title={`${cap.charAt(0).toUpperCase()}${cap.slice(1)} caps`}
+              >
+                {cap}
+              </button>
+            ))}
+          </div>
+        </div>
+      )}
+
+      <label className="property-row">
+        <span>Opacity {opacityPercent}%</span>
+        <LiveInput
+          type="range"
+          min="10"
+          max="100"
+          className="size-slider"
+          value={opacityPercent}
+          {...live('opacity', toFraction)}
+        />
+      </label>
+    </div>
+  );
+};
+
+export default PropertiesPanel;
@@ -0,0 +1,37 @@
+import React from 'react';
+import { getUserColor } from '../utils/users';
+
+// Overlay of other users' pointers; only users still in the room are shown
+const RemoteCursors = ({ cursors, users = [] }) => {
+  return (
+    <div className="remote-cursors">
+      {users
+        .filter(user => cursors[user.id])
+        .map(user => {
+          const { x, y } = cursors[user.id];
+          const color = getUserColor(user.id);
+          return (
+            <div
+              key={user.id}
+              className="remote-cursor"
+              style={{ transform: `translate(${x}px, ${y}px)` }}
+            >
+              <svg width="18" height="18" viewBox="0 0 18 18">
+                <path
+                  d="M1 1 L1 15 L5 11 L8 17 L10 16 L7 10 L13 10 Z"
+                  fill={color}
+                  stroke="#ffffff"
+                  strokeWidth="1"
+                />
+              </svg>
+              <span className="remote-cursor-label" style={{ backgroundColor: color }}>
+                {user.name}
+              </span>
+            </div>
+          );
+        })}
+    </div>
+  );
+};
+
+export default RemoteCursors;
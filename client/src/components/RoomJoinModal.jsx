@@ -1,13 +1,14 @@
 import React, { useState } from 'react';
 
-const RoomJoinModal = ({ onJoin, isVisible }) => {
+const RoomJoinModal = ({ onJoin, isVisible, defaultRoomId }) => {
   const [userName, setUserName] = useState('');
-  const [roomId, setRoomId] = useState('meeting-room-1');
+  const [roomId, setRoomId] = useState(defaultRoomId || 'meeting-room-1');
+  const [capacity, setCapacity] = useState('');
 
   const handleSubmit = (e) => {
     e.preventDefault();
     if (userName.trim() && roomId.trim()) {
-      onJoin(userName.trim(), roomId.trim());
+      onJoin(userName.trim(), roomId.trim(), capacity ? Number(capacity) : undefined);
     }
   };
 
@@ -46,6 +47,20 @@ const RoomJoinModal = ({ onJoin, isVisible }) => {
               required
             />
           </div>
+
+          <div className="form-group">
+            <label htmlFor="capacity">Max Participants (new rooms only)</label>
+            <input
+              type="number"
+              id="capacity"
+              min="1"
+              max="100"
+              step="1"
+              value={capacity}
+              onChange={(e) => setCapacity(e.target.value)}
+              placeholder="Server default"
+            />
+          </div>
           
           <div className="form-actions">
             <button type="submit" className="btn-primary">
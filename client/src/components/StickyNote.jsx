@@ -0,0 +1,120 @@
+import React from 'react';
+import { Group, Rect, Text, Circle } from 'react-konva';
+import { getUserColor } from '../utils/users';
+import {
+  NOTE_FOOTER,
+  NOTE_PADDING,
+  NOTE_LINE_HEIGHT,
+  getNoteTextBox,
+  fitNoteFontSize
+} from '../utils/notes';
+
+const FONT_FAMILY = 'Inter, -apple-system, Segoe UI, Roboto, sans-serif';
+const DOT_RADIUS = 5;
+const DOT_GAP = 3;
+
+/*
+ * Konva group for a sticky note. The group carries the element id as its
+ * name, so clicks on its parts are resolved to the group by the whiteboard.
+ * The round button in the footer adds or takes back the local user's vote;
+ * every vote shows as a dot in the voter's color.
+ */
+const StickyNote = ({ element, editing, currentUserId, onVote, ...props }) => {
+  const box = getNoteTextBox(element);
+  const votes = element.votes || [];
+  const voted = votes.includes(currentUserId);
+  const footerY = element.height - NOTE_PADDING - NOTE_FOOTER / 2;
+  const buttonX = element.width - NOTE_PADDING - DOT_RADIUS - 2;
+  // Dots fill the footer from the right; the rest is summed up as "+n"
+  const fits = Math.max(0, Math.floor((element.width / 2 - NOTE_PADDING) / (DOT_RADIUS * 2 + DOT_GAP)));
+  const shown = votes.length > fits ? votes.slice(0, Math.max(0, fits - 1)) : votes;
+  const dotX = (i) => buttonX - (i + 1) * (DOT_RADIUS * 2 + DOT_GAP) - 4;
+
+  return (
+    <Group x={element.x} y={element.y} rotation={element.rotation || 0} {...props}>
+      <Rect
+        width={element.width}
+        height={element.height}
+        fill={element.fill}
+        cornerRadius={4}
+        shadowColor="#000000"
+        shadowOpacity={0.18}
+        shadowBlur={8}
+        shadowOffsetY={3}
+      />
+      <Text
+        {...box}
+        text={element.text}
+        fontSize={fitNoteFontSize(element)}
+        fontFamily={FONT_FAMILY}
+        lineHeight={NOTE_LINE_HEIGHT}
+        fill={element.color || '#1f2937'}
+        wrap="word"
+        ellipsis
+        visible={!editing}
+      />
+      <Text
+        x={NOTE_PADDING}
+        y={footerY - 6}
+        width={element.width / 2 - NOTE_PADDING}
+        text={element.author || ''}
+        fontSize={11}
+        fontFamily={FONT_FAMILY}
+        fill="rgba(0, 0, 0, 0.55)"
+        wrap="none"
+        ellipsis
+      />
+      {shown.map((userId, i) => (
+        <Circle
+          key={userId}
+          x={dotX(i)}
+          y={footerY}
+          radius={DOT_RADIUS}
+          fill={getUserColor(userId)}
+          stroke="#ffffff"
+          strokeWidth={1}
+        />
+      ))}
+      {shown.length < votes.length && (
+        <Text
+          x={dotX(shown.length) - DOT_RADIUS}
+          y={footerY - 5}
+          text={`+${votes.length - shown.length}`}
+          fontSize={10}
+          fontFamily={FONT_FAMILY}
+          fill="rgba(0, 0, 0, 0.55)"
+        />
+      )}
+      <Group
+        x={buttonX}
+        y={footerY}
+        onMouseDown={(e) => {
+          // Voting shouldn't select, draw on or start dragging the note
+          e.cancelBubble = true;
+          onVote(element);
+        }}
+      >
+        <Circle
+          radius={DOT_RADIUS + 2}
+          fill={voted ? getUserColor(currentUserId) : 'rgba(255, 255, 255, 0.7)'}
+          stroke="rgba(0, 0, 0, 0.35)"
+          strokeWidth={1}
+        />
+        <Text
+          x={-DOT_RADIUS}
+          y={-DOT_RADIUS}
+          width={DOT_RADIUS * 2}
+          height={DOT_RADIUS * 2}
+          text={voted ? '−' : '+'}
+          fontSize={11}
+          align="center"
+          verticalAlign="middle"
+          fill={voted ? '#ffffff' : 'rgba(0, 0, 0, 0.6)'}
+          listening={false}
+        />
+      </Group>
+    </Group>
+  );
+};
+
+export default StickyNote;
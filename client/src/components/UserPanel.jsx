@@ -1,6 +1,14 @@
 import React from 'react';
+import { getUserColor } from '../utils/users';
 
-const UserPanel = ({ users = [], roomId, onErase }) => {
+const UserPanel = ({
+  users = [],
+  roomId,
+  currentUser,
+  followUserId,
+  onToggleFollow,
+  onErase
+}) => {
   const handleErase = () => {
     if (onErase) {
       onErase();
@@ -19,11 +27,31 @@ const UserPanel = ({ users = [], roomId, onErase }) => {
             <p>No users connected</p>
           </div>
         ) : (
-          users.map((user, index) => (
-            <div key={user.id || index} className="user-item">
-              <div className="user-name">{user.name || `User ${index + 1}`}</div>
-            </div>
-          ))
+          users.map((user, index) => {
+            const isSelf = currentUser && user.id === currentUser.id;
+            const isFollowed = user.id === followUserId;
+            return (
+              <div
+                key={user.id || index}
+                className={`user-item ${isSelf ? 'self' : ''}`}
+                style={{ borderLeftColor: getUserColor(user.id) }}
+              >
+                <div className="user-name">
+                  {user.name || `User ${index + 1}`}
+                  {isSelf && ' (you)'}
+                </div>
+                {!isSelf && onToggleFollow && (
+                  <button
+                    className={`follow-btn ${isFollowed ? 'active' : ''}`}
+                    onClick={() => onToggleFollow(user.id)}
+                    title={isFollowed ? 'Stop following' : `Follow ${user.name}'s view`}
+                  >
+                    {isFollowed ? 'Following' : 'Follow'}
+                  </button>
+                )}
+              </div>
+            );
+          })
         )}
       </div>
       
@@ -39,4 +67,4 @@ const UserPanel = ({ users = [], roomId, onErase }) => {
   );
 };
 
-export default UserPanel; 
\ No newline at end of file
+export default UserPanel;
@@ -1,14 +1,104 @@
-import React from 'react';
+import React, { useContext, useEffect, useRef } from 'react';
+import { SocketContext } from '../context/SocketContext';
+import useVideoCall from '../hooks/useVideoCall';
+import { getUserColor } from '../utils/users';
+
+const VideoTile = ({ user, stream, isSelf, audio = true, video = true }) => {
+  const videoRef = useRef(null);
+
+  useEffect(() => {
+    if (videoRef.current && videoRef.current.srcObject !== stream) {
+      videoRef.current.srcObject = stream || null;
+    }
+  }, [stream]);
+
+  const showVideo = stream && video;
+
+  return (
+    <div className="video-tile">
+      {stream && (
+        <video
+          ref={videoRef}
+          autoPlay
+          playsInline
+          muted={isSelf}
+          style={{ display: showVideo ? 'block' : 'none' }}
+        />
+      )}
+      {!showVideo && (
+        <div className="video-placeholder" style={{ backgroundColor: getUserColor(user.id) }}>
+          {(user.name || '?').charAt(0).toUpperCase()}
+        </div>
+      )}
+      <div className="video-label">
+        {isSelf ? 'You' : user.name}
+        {!audio && ' 🔇'}
+        {!stream && !isSelf && ' · not in call'}
+      </div>
+    </div>
+  );
+};
+
+const VideoCall = ({ roomId, users = [], currentUser }) => {
+  const socket = useContext(SocketContext);
+  const call = useVideoCall(socket, roomId, Boolean(currentUser));
+
+  if (!currentUser) return null;
 
-const VideoCall = () => {
   return (
     <div className="video-call-container">
       {/* <h2>Video Call</h2> */}
-      <div className="videos">
-        {/* Videos will go here */}
+      {call.inCall && (
+        <div className="videos">
+          {users.map(user => {
+            const isSelf = user.id === currentUser.id;
+            const state = isSelf
+              ? { audio: call.audioEnabled, video: call.videoEnabled }
+              : call.mediaStates[user.id];
+            return (
+              <VideoTile
+                key={user.id}
+                user={user}
+                isSelf={isSelf}
+                stream={isSelf ? call.localStream : call.remoteStreams[user.id]}
+                audio={state?.audio}
+                video={state?.video}
+              />
+            );
+          })}
+        </div>
+      )}
+
+      <div className="video-controls">
+        {call.inCall ? (
+          <>
+            <button
+              className={`video-btn ${call.audioEnabled ? '' : 'off'}`}
+              onClick={call.toggleAudio}
+              title={call.audioEnabled ? 'Mute microphone' : 'Unmute microphone'}
+            >
+              {call.audioEnabled ? '🎤' : '🔇'}
+            </button>
+            <button
+              className={`video-btn ${call.videoEnabled ? '' : 'off'}`}
+              onClick={call.toggleVideo}
+              title={call.videoEnabled ? 'Turn camera off' : 'Turn camera on'}
+            >
+              {call.videoEnabled ? '📷' : '🚫'}
+            </button>
+            <button className="video-btn danger" onClick={call.leaveCall} title="Leave call">
+              📞 Leave
+            </button>
+          </>
+        ) : (
+          <button className="video-btn" onClick={call.joinCall} title="Join the room's video call">
+            🎥 Join call
+          </button>
+        )}
       </div>
+      {call.error && <div className="video-error">{call.error}</div>}
     </div>
   );
 };
 
-export default VideoCall; 
\ No newline at end of file
+export default VideoCall;
@@ -6,45 +6,551 @@ import React, {
   forwardRef,
   useImperativeHandle,
 } from "react";
-import { Stage, Layer, Line, Circle, Rect, Transformer } from "react-konva";
-import { SHAPES, EVENTS } from "../utils/constants";
+import {
+  Stage,
+  Layer,
+  Line,
+  Arrow,
+  Circle,
+  Rect,
+  Text,
+  Transformer,
+} from "react-konva";
+import { SHAPES, EVENTS, DRAWING_TOOLS } from "../utils/constants";
+import {
+  createElementId,
+  isSameId,
+  appendStrokePoint,
+  pickAttrs,
+  restoreElements,
+  removeElements,
+  toEntries,
+  splitStroke,
+  getBoundsOfElements,
+  getElementBounds,
+  applyUpdates,
+  translateElement,
+  duplicateElements,
+} from "../utils/elements";
+import {
+  CLIPBOARD_MIME,
+  serializeClipboard,
+  parseClipboard,
+} from "../utils/clipboard";
+import { prepareImage, isSvgMarkup } from "../utils/images";
+import {
+  elementsToSvg,
+  paginate,
+  downloadFile,
+  exportFileName,
+} from "../utils/exporters";
+import { createImagePdf, dataUrlToBytes } from "../utils/pdf";
+import {
+  createBoardDocument,
+  readBoardFile,
+  BOARD_FILE_EXTENSION,
+} from "../utils/board";
+import { loadBoardIntoRoom, uploadImage } from "../utils/api";
+import {
+  DEFAULT_VIEWPORT,
+  toWorld,
+  toScreen,
+  zoomAt,
+  fitBounds,
+  centerOn,
+  getVisibleBounds,
+  MAX_SCALE,
+} from "../utils/viewport";
+import {
+  withDefaultLayer,
+  getElementLayer,
+  isElementVisible,
+  isElementEditable,
+  sortByLayer,
+  getReorderMoves,
+} from "../utils/layers";
+import {
+  isConnector,
+  isAttachedConnector,
+  getAnchors,
+  findNearestAnchor,
+  withConnectorUpdates,
+  getArrowHeadSize,
+} from "../utils/connectors";
+import {
+  NOTE_COLORS,
+  NOTE_SIZE,
+  NOTE_LINE_HEIGHT,
+  getNoteTextBox,
+  fitNoteFontSize,
+} from "../utils/notes";
+import { getStyleProps, getStyleKeys } from "../utils/styles";
+import {
+  GUIDE_THRESHOLD,
+  snapToGridValue,
+  getShapeBounds,
+  getGuideLines,
+  snapMove,
+  snapEdge,
+} from "../utils/snapping";
+import useHistory from "../hooks/useHistory";
+import RemoteCursors from "./RemoteCursors";
+import Minimap from "./Minimap";
+import BoardImage from "./BoardImage";
+import StickyNote from "./StickyNote";
+import LayersPanel from "./LayersPanel";
+import PropertiesPanel from "./PropertiesPanel";
+import { getUserColor } from "../utils/users";
 import { SocketContext } from "../context/SocketContext";
 /* Heuristic fallback is now inside the AI service */
 import aiShapeRecognition from "../services/aiShapeRecognition";
 
+// Minimum time between cursor broadcasts
+const CURSOR_THROTTLE_MS = 50;
+// Margin kept around content and selection exports
+const EXPORT_PADDING = 20;
+// PDF pages are A4 landscape; one page holds PDF_TILE board pixels (96 dpi)
+const PDF_PAGE = { width: 842, height: 595 };
+const PDF_TILE = { width: 1123, height: 794 };
+// Zoom step of the +/- buttons
+const ZOOM_STEP = 1.25;
+// Minimum time between viewport broadcasts
+const VIEWPORT_THROTTLE_MS = 100;
+// How far Ctrl+D moves the copies from the originals
+const DUPLICATE_OFFSET = 20;
+// Screen distance within which connector ends snap to an anchor
+const ANCHOR_SNAP_DISTANCE = 12;
+// Connectors shorter than this are treated as stray clicks
+const MIN_CONNECTOR_LENGTH = 5;
+
+// Shapes that always scale uniformly in the Transformer
+const RATIO_LOCKED_TYPES = ["circle", "square", "triangle", "hexagon", "pentagon", "image"];
+
+// Keyboard shortcuts stay out of the way of text fields
+const isTypingTarget = (target) =>
+  target.tagName === "INPUT" ||
+  target.tagName === "TEXTAREA" ||
+  target.isContentEditable;
+
+// Sticky notes are Konva groups, so clicks and hits land on their parts;
+// walk up to the node that carries the element id
+const getElementNode = (node) => {
+  let current = node;
+  while (current.getParent()?.getClassName() === "Group") {
+    current = current.getParent();
+  }
+  return current;
+};
+
+// Bake a node's Transformer scale/rotation into element attributes
+const getTransformedAttrs = (node, element) => {
+  const className = node.getClassName();
+  let updatedAttrs = {
+    rotation: node.rotation(),
+  };
+
+  if (className === "Rect" || className === "Image") {
+    // For rectangle, square and image
+    const newWidth = node.width() * node.scaleX();
+    const newHeight = node.height() * node.scaleY();
+    updatedAttrs = {
+      ...updatedAttrs,
+      x: node.x(),
+      y: node.y(),
+    };
+    if (element.type === "square") {
+      // Average for safety, though keepRatio should make them equal
+      updatedAttrs.side = (newWidth + newHeight) / 2;
+    } else {
+      updatedAttrs.width = newWidth;
+      updatedAttrs.height = newHeight;
+    }
+  } else if (className === "Group") {
+    // Sticky notes resize their box; the text refits itself
+    updatedAttrs = {
+      ...updatedAttrs,
+      x: node.x(),
+      y: node.y(),
+      width: element.width * node.scaleX(),
+      height: element.height * node.scaleY(),
+    };
+  } else if (className === "Text") {
+    // Text grows by font size; horizontal stretch becomes wrap width
+    updatedAttrs = {
+      ...updatedAttrs,
+      x: node.x(),
+      y: node.y(),
+      fontSize: Math.max(8, node.fontSize() * node.scaleY()),
+      width: node.width() * node.scaleX(),
+    };
+  } else if (className === "Circle") {
+    // Average scale for roundness
+    const scaleAvg = (node.scaleX() + node.scaleY()) / 2;
+    updatedAttrs = {
+      ...updatedAttrs,
+      x: node.x(),
+      y: node.y(),
+      radius: node.radius() * scaleAvg,
+    };
+  } else if (className === "Line" || className === "Arrow") {
+    // Lines, strokes, polygons and connectors keep absolute points, so apply the node's
+    // whole transform (position, scale, rotation) to them. Polygons keep
+    // their proportions because the Transformer locks their ratio
+    const originalPoints = node.points();
+    const transform = node.getTransform();
+    const newPoints = [];
+    for (let i = 0; i < originalPoints.length; i += 2) {
+      const pt = transform.point({
+        x: originalPoints[i],
+        y: originalPoints[i + 1],
+      });
+      newPoints.push(pt.x, pt.y);
+    }
+    updatedAttrs = {
+      ...updatedAttrs,
+      points: newPoints,
+      x: 0,
+      y: 0,
+      rotation: 0,
+    };
+  }
+  return updatedAttrs;
+};
+
 const Whiteboard = forwardRef(
-  ({ roomId, users, elements, setElements }, ref) => {
+  (
+    {
+      roomId,
+      users,
+      currentUser,
+      elements,
+      setElements,
+      followUserId,
+      onStopFollowing,
+    },
+    ref
+  ) => {
     const socket = useContext(SocketContext);
     const stageRef = useRef(null);
     const stageContainerRef = useRef(null);
+    const boardFileInputRef = useRef(null);
     const [debugInfo, setDebugInfo] = useState("");
     const [stageSize, setStageSize] = useState({ width: 800, height: 600 });
     const [canvasColor, setCanvasColor] = useState("#ffffff");
     const [pencilSize, setPencilSize] = useState(3);
     const [eraserSize, setEraserSize] = useState(6);
+    const [textSize, setTextSize] = useState(24);
+    const [textEditor, setTextEditor] = useState(null); // { elementId, x, y, value } while typing
     const [showGrid, setShowGrid] = useState(false);
+    const [gridSize, setGridSize] = useState(24);
+    const [snapToGrid, setSnapToGrid] = useState(true); // Only while the grid is shown
+    const [smartGuides, setSmartGuides] = useState(true);
+    const [guides, setGuides] = useState([]); // Alignment lines shown while moving or resizing
+    const guideLinesRef = useRef(null); // Lines of the elements that stay put, per drag
+    const snapSuspendedRef = useRef(false); // Alt held: move and resize freely
     const [showCanvasColorPicker, setShowCanvasColorPicker] = useState(false);
     const [showPenColorPicker, setShowPenColorPicker] = useState(false);
     const [selectedColor, setSelectedColor] = useState("#000000");
+    const [noteColor, setNoteColor] = useState(NOTE_COLORS[0].fill); // Fill of new sticky notes
     const [isDrawing, setIsDrawing] = useState(false);
     const [isErasing, setIsErasing] = useState(false);
+    const [eraserMode, setEraserMode] = useState("object"); // 'object' removes whole elements, 'partial' cuts strokes
     const [showSizeControls, setShowSizeControls] = useState(false);
+    const [showExportMenu, setShowExportMenu] = useState(false);
+    const [exportScope, setExportScope] = useState("canvas"); // 'canvas', 'content' or 'selection'
     /* const [shapeRecognitionEnabled, setShapeRecognitionEnabled] = useState(true); */
     /* const [currentStroke, setCurrentStroke] = useState(null); */
     const [aiModelLoaded, setAiModelLoaded] = useState(false);
-  const [currentTool, setCurrentTool] = useState("pencil"); // 'pencil', 'eraser', 'select'
-  const [selectedId, setSelectedId] = useState(null);
+  const [currentTool, setCurrentTool] = useState("pencil"); // 'pencil', 'eraser', 'select', 'text'
+  const [selectedIds, setSelectedIds] = useState([]); // String ids; groups are selected whole
+    const [layers, setLayers] = useState([]); // Room layers, bottom to top; [] = default only
+    const [activeLayerId, setActiveLayerId] = useState(null); // Where new elements go
+    const [showLayers, setShowLayers] = useState(false);
+    const [marquee, setMarquee] = useState(null); // Selection rectangle being dragged
+    const marqueeRef = useRef(null); // { origin, additive } while dragging a marquee
+    const [arrowheads, setArrowheads] = useState("end"); // Heads of new connectors: 'end', 'both' or 'none'
+    const [headStyle, setHeadStyle] = useState("filled"); // 'filled' or 'outline'
+    const [connectorDraft, setConnectorDraft] = useState(null); // { points, start, end } while dragging
+    const [anchorHint, setAnchorHint] = useState(null); // Pointer while the arrow tool looks for anchors
+    const dragBatchRef = useRef(false);
   const transformerRef = useRef(null);
+    const currentStrokeIdRef = useRef(null); // Id of the stroke being drawn locally
+    const eraseSessionRef = useRef(null); // What the current eraser drag removed/created
+    const elementsRef = useRef(elements);
+    elementsRef.current = elements;
+    const elementIds = new Set(elements.map((el) => String(el.id)));
+    const textEditorRef = useRef(null);
+    textEditorRef.current = textEditor;
+    const lastCursorEmitRef = useRef(0);
+    const lastViewportEmitRef = useRef(0);
+    const [remoteViewports, setRemoteViewports] = useState({}); // userId -> visible world bounds
+    const [showMinimap, setShowMinimap] = useState(true);
+    const [remoteCursors, setRemoteCursors] = useState({}); // userId -> { x, y }
+    const [focusMarker, setFocusMarker] = useState(null); // Spot highlighted from chat
+    const [viewport, setViewport] = useState(DEFAULT_VIEWPORT); // Stage pan/zoom
+    const [isSpacePressed, setIsSpacePressed] = useState(false);
+    const panRef = useRef(null); // Pointer and viewport where a pan started
+    const pinchRef = useRef(null); // Last two-finger center and distance
+    const pointerRef = useRef(null); // Last pointer position over the board (world)
   const [draggedShape, setDraggedShape] = useState(null); // Track shape being dragged
+    const history = useHistory(socket, roomId, elements, setElements, setLayers);
+
+    // Locked and hidden layers keep their elements
+    const clearBoard = () => {
+      const entries = elements
+        .map((element, index) => ({ element, index }))
+        .filter(({ element }) => isElementEditable(element, boardLayers));
+      if (entries.length > 0) {
+        history.record({ type: "clear", entries });
+      }
+      setElements((prev) => removeElements(prev, entries.map((e) => e.element.id)));
+      socket.emit(EVENTS.CLEAR_BOARD, { roomId });
+      setDebugInfo("Board cleared");
+    };
+
+    const handleUndo = () => {
+      const operation = history.undo();
+      setDebugInfo(operation ? `Undid ${operation.type}` : "Nothing to undo");
+    };
+
+    const handleRedo = () => {
+      const operation = history.redo();
+      setDebugInfo(operation ? `Redid ${operation.type}` : "Nothing to redo");
+    };
+
   // Expose methods to parent component
     useImperativeHandle(ref, () => ({
-      handleErase: () => {
-        setElements([]);
-        socket.emit(EVENTS.CLEAR_BOARD, { roomId });
-        setDebugInfo("Board cleared");
+      handleErase: clearBoard,
+      focusPoint: (x, y) => {
+        changeViewport((current) => centerOn({ x, y }, current, stageSize));
+        setFocusMarker({ x, y, key: Date.now() });
+        setDebugInfo(`Jumped to (${Math.round(x)}, ${Math.round(y)})`);
       },
     }));
 
+    // Fade the chat focus marker out after its pulse animation
+    useEffect(() => {
+      if (!focusMarker) return;
+      const timer = setTimeout(() => setFocusMarker(null), 2400);
+      return () => clearTimeout(timer);
+    }, [focusMarker]);
+
+    // Each room opens at the origin; its layers arrive right after joining
+    useEffect(() => {
+      setViewport(DEFAULT_VIEWPORT);
+      setLayers([]);
+      setActiveLayerId(null);
+    }, [roomId]);
+
+    const boardLayers = withDefaultLayer(layers);
+    // A deleted active layer falls back to the top one
+    const activeLayer =
+      boardLayers.find((layer) => layer.id === activeLayerId) ||
+      boardLayers[boardLayers.length - 1];
+
+    // What is drawn, in drawing order
+    const visibleElements = sortByLayer(elements, boardLayers).filter((el) =>
+      isElementVisible(el, boardLayers)
+    );
+
+    // Hidden or locked elements drop out of the selection
+    useEffect(() => {
+      const current = withDefaultLayer(layers);
+      setSelectedIds((prev) => {
+        const next = prev.filter((id) => {
+          const element = elements.find((el) => isSameId(el.id, id));
+          return element && isElementEditable(element, current);
+        });
+        return next.length === prev.length ? prev : next;
+      });
+    }, [elements, layers]);
+
+    // What this user currently sees, in world coordinates
+    const visibleBounds = getVisibleBounds(viewport, stageSize);
+    const visibleBoundsRef = useRef(visibleBounds);
+    visibleBoundsRef.current = visibleBounds;
+
+    // Any pan or zoom by the user ends follow mode
+    const changeViewport = (update) => {
+      if (followUserId && onStopFollowing) onStopFollowing();
+      setViewport(update);
+    };
+
+    // Share our visible area for minimaps and followers, throttled but always
+    // sending the final position
+    useEffect(() => {
+      const send = () => {
+        lastViewportEmitRef.current = Date.now();
+        socket.emit(EVENTS.VIEWPORT_UPDATE, {
+          roomId,
+          viewport: visibleBoundsRef.current,
+        });
+      };
+      const wait = VIEWPORT_THROTTLE_MS - (Date.now() - lastViewportEmitRef.current);
+      if (wait <= 0) {
+        send();
+        return;
+      }
+      const timer = setTimeout(send, wait);
+      return () => clearTimeout(timer);
+    }, [socket, roomId, viewport, stageSize]);
+
+    useEffect(() => {
+      const handleViewportUpdate = ({ userId, viewport: bounds }) => {
+        setRemoteViewports((prev) => ({ ...prev, [userId]: bounds }));
+      };
+      const handleUserLeft = ({ userId }) => {
+        setRemoteViewports((prev) => {
+          const next = { ...prev };
+          delete next[userId];
+          return next;
+        });
+      };
+      // Newcomers have not seen our viewport yet
+      const handleUserJoined = () => {
+        socket.emit(EVENTS.VIEWPORT_UPDATE, {
+          roomId,
+          viewport: visibleBoundsRef.current,
+        });
+      };
+
+      setRemoteViewports({});
+      socket.on(EVENTS.VIEWPORT_UPDATE, handleViewportUpdate);
+      socket.on(EVENTS.USER_LEFT, handleUserLeft);
+      socket.on(EVENTS.USER_JOINED, handleUserJoined);
+      return () => {
+        socket.off(EVENTS.VIEWPORT_UPDATE, handleViewportUpdate);
+        socket.off(EVENTS.USER_LEFT, handleUserLeft);
+        socket.off(EVENTS.USER_JOINED, handleUserJoined);
+      };
+    }, [socket, roomId]);
+
+    // Follow mode: show the same area as the followed user, fitted to our screen
+    const followedBounds = followUserId && remoteViewports[followUserId];
+    useEffect(() => {
+      if (!followedBounds) return;
+      setViewport(
+        fitBounds(followedBounds, stageSize, { padding: 0, maxScale: MAX_SCALE })
+      );
+    }, [followedBounds, stageSize]);
+
+    useEffect(() => {
+      const handleKey = (e) => {
+        snapSuspendedRef.current = e.altKey;
+      };
+      window.addEventListener("keydown", handleKey);
+      window.addEventListener("keyup", handleKey);
+      return () => {
+        window.removeEventListener("keydown", handleKey);
+        window.removeEventListener("keyup", handleKey);
+      };
+    }, []);
+
+    // Holding space turns dragging into panning
+    useEffect(() => {
+      const handleKeyDown = (e) => {
+        if (e.code !== "Space" || isTypingTarget(e.target)) return;
+        e.preventDefault();
+        setIsSpacePressed(true);
+      };
+      const handleKeyUp = (e) => {
+        if (e.code === "Space") setIsSpacePressed(false);
+      };
+      window.addEventListener("keydown", handleKeyDown);
+      window.addEventListener("keyup", handleKeyUp);
+      return () => {
+        window.removeEventListener("keydown", handleKeyDown);
+        window.removeEventListener("keyup", handleKeyUp);
+      };
+    }, []);
+
+    // Ctrl+Z / Ctrl+Y (and Ctrl+Shift+Z) for undo/redo, Ctrl+G /
+    // Ctrl+Shift+G to group/ungroup, Ctrl+D to duplicate and Ctrl+] / Ctrl+[
+    // to bring forward / send backward, ignored while typing. The listener is
+    // added once and calls the handler from the latest render
+    const shortcutHandlerRef = useRef(null);
+    shortcutHandlerRef.current = (e) => {
+      if (!(e.ctrlKey || e.metaKey) || isTypingTarget(e.target)) return;
+      const key = e.key.toLowerCase();
+      if (key === "z" && !e.shiftKey) {
+        e.preventDefault();
+        handleUndo();
+      } else if (key === "y" || (key === "z" && e.shiftKey)) {
+        e.preventDefault();
+        handleRedo();
+      } else if (key === "g" && currentTool === "select") {
+        e.preventDefault();
+        if (e.shiftKey) {
+          ungroupSelection();
+        } else {
+          groupSelection();
+        }
+      } else if (key === "d" && currentTool === "select") {
+        e.preventDefault();
+        duplicateSelection();
+      } else if ((key === "]" || key === "[") && currentTool === "select") {
+        e.preventDefault();
+        reorderSelection(key === "]" ? "forward" : "backward");
+      }
+    };
+
+    useEffect(() => {
+      const handleKeyDown = (e) => shortcutHandlerRef.current(e);
+      window.addEventListener("keydown", handleKeyDown);
+      return () => window.removeEventListener("keydown", handleKeyDown);
+    }, []);
+
+    // Copy and paste go through the system clipboard so they also work
+    // between rooms open in different tabs. Listeners are added once and call
+    // the handlers from the latest render
+    const clipboardHandlersRef = useRef({});
+    clipboardHandlersRef.current.copy = (e) => {
+      if (
+        isTypingTarget(e.target) ||
+        currentTool !== "select" ||
+        selectedElements.length === 0 ||
+        window.getSelection()?.toString()
+      ) {
+        return;
+      }
+      e.preventDefault();
+      const payload = serializeClipboard(selectedElements);
+      e.clipboardData.setData(CLIPBOARD_MIME, payload);
+      e.clipboardData.setData("text/plain", payload);
+      setDebugInfo(`Copied ${selectedElements.length} element(s)`);
+    };
+
+    clipboardHandlersRef.current.paste = (e) => {
+      if (isTypingTarget(e.target)) return;
+      const data = e.clipboardData;
+      const text = data.getData("text/plain");
+      const copied = parseClipboard(data.getData(CLIPBOARD_MIME)) || parseClipboard(text);
+      if (copied) {
+        e.preventDefault();
+        pasteElements(copied);
+        return;
+      }
+
+      const file = [...data.files].find((f) => f.type.startsWith("image/"));
+      if (!file && !isSvgMarkup(text)) return;
+      e.preventDefault();
+      insertImage(
+        file || new Blob([text], { type: "image/svg+xml" }),
+        getPasteCenter()
+      );
+    };
+
+    useEffect(() => {
+      const handleCopy = (e) => clipboardHandlersRef.current.copy(e);
+      const handlePaste = (e) => clipboardHandlersRef.current.paste(e);
+      window.addEventListener("copy", handleCopy);
+      window.addEventListener("paste", handlePaste);
+      return () => {
+        window.removeEventListener("copy", handleCopy);
+        window.removeEventListener("paste", handlePaste);
+      };
+    }, []);
+
     // Initialize minimal AI recognizer
     useEffect(() => {
       let mounted = true;
@@ -64,144 +570,291 @@ const Whiteboard = forwardRef(
         mounted = false;
       };
     }, []);
+    // Attach the Transformer to every selected node
     useEffect(() => {
-      if (!selectedId || currentTool !== "select") {
-        transformerRef.current.nodes([]);
-        return;
+      const tr = transformerRef.current;
+      const ids = new Set(elements.map((el) => String(el.id)));
+      const nodes =
+        currentTool === "select"
+          ? selectedIds
+              .map((id) => stageRef.current.findOne(`.${id}`))
+              // Selected elements may have been removed (e.g. undone by their author)
+              .filter(Boolean)
+              // Attached connectors follow their shapes instead
+              .filter((node) => {
+                const element = elements.find((el) => isSameId(el.id, node.name()));
+                return !element || !isAttachedConnector(element, ids);
+              })
+          : [];
+      const keepRatio =
+        nodes.length > 1 ||
+        nodes.some((node) => {
+          const element = elements.find((el) => isSameId(el.id, node.name()));
+          return element && RATIO_LOCKED_TYPES.includes(element.type);
+        });
+      tr.keepRatio(keepRatio);
+      // Ratio-locked selections only get corner anchors
+      tr.enabledAnchors(
+        keepRatio ? ["top-left", "top-right", "bottom-left", "bottom-right"] : undefined
+      );
+      tr.nodes(nodes);
+      tr.getLayer().batchDraw();
+    }, [selectedIds, currentTool, elements]);
+
+    // Apply a geometry change locally, record it for undo and share it with the room.
+    // `base` is the board the change is measured against (undo restores it)
+    const applyShapeUpdate = (elementId, updatedAttrs, base = elements) => {
+      const element = base.find((el) => isSameId(el.id, elementId));
+      if (element) {
+        history.record({
+          type: "update",
+          elementId,
+          before: pickAttrs(element, Object.keys(updatedAttrs)),
+          after: updatedAttrs,
+        });
       }
-      const stage = stageRef.current;
-      const selectedNode = stage.findOne(`.${selectedId}`);
-      if (selectedNode) {
-        const element = elements.find((el) => el.id === selectedId);
-        if (element) {
-          const keepRatio = ["circle", "square", "triangle", "hexagon", "pentagon"].includes(
-            element.type
-          );
-          transformerRef.current.keepRatio(keepRatio);
-          // Optional: Limit anchors for ratio-keeping shapes to corners
-          transformerRef.current.enabledAnchors(
-            keepRatio
-              ? ["top-left", "top-right", "bottom-left", "bottom-right"]
-              : undefined
-          );
-        }
-        transformerRef.current.nodes([selectedNode]);
-        transformerRef.current.getLayer().batchDraw();
+      setElements((prev) =>
+        prev.map((el) =>
+          isSameId(el.id, elementId) ? { ...el, ...updatedAttrs } : el
+        )
+      );
+      socket.emit(EVENTS.SHAPE_UPDATE, {
+        roomId,
+        elementId,
+        updatedAttrs,
+      });
+    };
+
+    // Same for several elements at once: one undo step and one sync message.
+    // Connectors attached to the changed shapes are re-routed in the same step
+    const applyShapeUpdates = (changes, base = elements) => {
+      const updates = withConnectorUpdates(base, changes);
+      if (updates.length === 0) return;
+      if (updates.length === 1) {
+        applyShapeUpdate(updates[0].elementId, updates[0].updatedAttrs, base);
+        return;
       }
-    }, [selectedId, currentTool, elements]);
+      history.record({
+        type: "updates",
+        changes: updates
+          .map(({ elementId, updatedAttrs }) => {
+            const element = base.find((el) => isSameId(el.id, elementId));
+            return (
+              element && {
+                elementId,
+                before: pickAttrs(element, Object.keys(updatedAttrs)),
+                after: updatedAttrs,
+              }
+            );
+          })
+          .filter(Boolean),
+      });
+      setElements((prev) => applyUpdates(prev, updates));
+      socket.emit(EVENTS.ELEMENTS_UPDATE, { roomId, updates });
+    };
+
     useEffect(() => {
       const tr = transformerRef.current;
       if (tr) {
         tr.on("transformend", () => {
-          const node = tr.nodes()[0];
-          if (!node) return;
-          const className = node.getClassName();
-          const element = elements.find((el) => el.id === selectedId);
-          if (!element) return;
-
-          let updatedAttrs = {
-            rotation: node.rotation(),
-          };
-
-          if (className === "Rect") {
-            // For rectangle and square
-            const newWidth = node.width() * node.scaleX();
-            const newHeight = node.height() * node.scaleY();
-            updatedAttrs = {
-              ...updatedAttrs,
-              x: node.x(),
-              y: node.y(),
-            };
-            if (element.type === "square") {
-              // Average for safety, though keepRatio should make them equal
-              const newSide = (newWidth + newHeight) / 2;
-              updatedAttrs.side = newSide;
-            } else {
-              updatedAttrs.width = newWidth;
-              updatedAttrs.height = newHeight;
-            }
-          } else if (className === "Circle") {
-            // For circle
-            // Average scale for roundness
-            const scaleAvg = (node.scaleX() + node.scaleY()) / 2;
-            updatedAttrs = {
-              ...updatedAttrs,
-              x: node.x(),
-              y: node.y(),
-              radius: node.radius() * scaleAvg,
-            };
-          } else if (className === "Line") {
-            // For line, freehand, eraser, triangle, hexagon, pentagon
-            const originalPoints = node.points();
-            const shouldKeepRatio = ["circle", "square", "triangle", "hexagon", "pentagon"].includes(element.type);
-            const isRegularShape = ["triangle", "hexagon", "pentagon"].includes(element.type);
-            
-            if (isRegularShape && shouldKeepRatio) {
-              // For regular shapes, apply uniform scaling from centroid of points
-              const uniformScale = Math.max(Math.abs(node.scaleX()), Math.abs(node.scaleY()));
-              let sumX = 0, sumY = 0, count = 0;
-              for (let i = 0; i < originalPoints.length; i += 2) {
-                sumX += originalPoints[i];
-                sumY += originalPoints[i + 1];
-                count++;
+          const updates = tr
+            .nodes()
+            .map((node) => {
+              const element = elements.find((el) => isSameId(el.id, node.name()));
+              if (!element) return null;
+              const updatedAttrs = getTransformedAttrs(node, element);
+              // Reset node transforms
+              node.scaleX(1);
+              node.scaleY(1);
+              if (element.points) {
+                node.x(0);
+                node.y(0);
+                node.rotation(0);
               }
-              const centerX = count > 0 ? sumX / count : 0;
-              const centerY = count > 0 ? sumY / count : 0;
-              const newPoints = [];
-              for (let i = 0; i < originalPoints.length; i += 2) {
-                const dx = originalPoints[i] - centerX;
-                const dy = originalPoints[i + 1] - centerY;
-                newPoints.push(centerX + dx * uniformScale, centerY + dy * uniformScale);
-              }
-              updatedAttrs = {
-                ...updatedAttrs,
-                points: newPoints,
-                x: 0,
-                y: 0,
-                rotation: 0,
-              };
-            } else {
-              // For lines and other shapes, use normal transform
-              const transform = node.getTransform();
-              const newPoints = [];
-              for (let i = 0; i < originalPoints.length; i += 2) {
-                const pt = transform.point({
-                  x: originalPoints[i],
-                  y: originalPoints[i + 1],
-                });
-                newPoints.push(pt.x, pt.y);
-              }
-              updatedAttrs = {
-                ...updatedAttrs,
-                points: newPoints,
-                x: 0,
-                y: 0,
-                rotation: 0,
-              };
-            }
-          }
-
-          setElements((prev) =>
-            prev.map((el) =>
-              el.id === selectedId ? { ...el, ...updatedAttrs } : el
-            )
-          );
-          socket.emit(EVENTS.SHAPE_UPDATE, {
-            roomId,
-            elementId: selectedId,
-            updatedAttrs,
-          });
-          // Reset node transforms
-          node.scaleX(1);
-          node.scaleY(1);
-          if (className === "Line") {
-            node.x(0);
-            node.y(0);
-            node.rotation(0);
-          }
+              return { elementId: node.name(), updatedAttrs };
+            })
+            .filter(Boolean);
+          endSnapping();
+          applyShapeUpdates(updates);
         });
       }
-    }, [elements, socket, roomId]);
+      // Re-registered on every change, so drop the stale handler each time
+      return () => {
+        if (tr) tr.off("transformend");
+      };
+    }, [elements, socket, roomId, selectedIds]);
+
+    // Snapping targets for moving or resizing the given elements: the grid
+    // while it is shown, and guides through the elements that stay put.
+    // Null while Alt is held
+    const getSnapOptions = (movingIds) => {
+      if (snapSuspendedRef.current) return null;
+      if (!guideLinesRef.current) {
+        guideLinesRef.current = smartGuides
+          ? getGuideLines(
+              visibleElements.filter(
+                (el) => !movingIds.includes(String(el.id)) && !isConnector(el)
+              )
+            )
+          : { vertical: [], horizontal: [] };
+      }
+      return {
+        lines: guideLinesRef.current,
+        gridSize: showGrid && snapToGrid ? gridSize : null,
+        threshold: GUIDE_THRESHOLD / viewport.scale,
+      };
+    };
+
+    const endSnapping = () => {
+      guideLinesRef.current = null;
+      setGuides([]);
+    };
+
+    // Line dragged elements up with the grid and the other elements. Every
+    // dragged node fires dragmove; the first one shifts them all, so the
+    // others find nothing left to correct
+    const handleShapeDragMove = (e) => {
+      const node = e.target;
+      if (node.getClassName() === "Transformer") return;
+      const element = elements.find((el) => isSameId(el.id, node.name()));
+      if (!element) return;
+      const ids = selectedIds.includes(String(element.id))
+        ? selectedIds
+        : [String(element.id)];
+      const options = getSnapOptions(ids);
+      if (!options) {
+        setGuides([]);
+        return;
+      }
+
+      const moving = elements.filter(
+        (el) => ids.includes(String(el.id)) && !isAttachedConnector(el, elementIds)
+      );
+      const boxes = moving.map(getShapeBounds).filter(Boolean);
+      if (boxes.length === 0) return;
+      // Nodes keep the model's position until the drag ends, so the node's
+      // offset from it is how far the selection has moved
+      const offset = element.points
+        ? { x: node.x(), y: node.y() }
+        : { x: node.x() - element.x, y: node.y() - element.y };
+      const minX = Math.min(...boxes.map((b) => b.x));
+      const minY = Math.min(...boxes.map((b) => b.y));
+      const box = {
+        x: minX + offset.x,
+        y: minY + offset.y,
+        width: Math.max(...boxes.map((b) => b.x + b.width)) - minX,
+        height: Math.max(...boxes.map((b) => b.y + b.height)) - minY,
+      };
+
+      const { dx, dy, guides: found } = snapMove(box, options);
+      setGuides(found);
+      if (!dx && !dy) return;
+      moving.forEach((el) => {
+        const moved = stageRef.current.findOne(`.${el.id}`);
+        if (moved) moved.position({ x: moved.x() + dx, y: moved.y() + dy });
+      });
+    };
+
+    // Resizing snaps the edges being dragged. Boxes are in screen
+    // coordinates; rotated and ratio-locked boxes are left alone
+    const handleTransformBox = (oldBox, newBox) => {
+      // Min size
+      if (newBox.width < 5 || newBox.height < 5) return oldBox;
+      const options = getSnapOptions(selectedIds);
+      if (!options || newBox.rotation) return newBox;
+
+      const topLeft = toWorld(newBox, viewport);
+      const bottomRight = toWorld(
+        { x: newBox.x + newBox.width, y: newBox.y + newBox.height },
+        viewport
+      );
+      const edges = [topLeft.x, topLeft.y, bottomRight.x, bottomRight.y];
+      const moved = (a, b) => Math.abs(a - b) > 1e-6;
+      // Index into edges of the side being dragged on each axis, or null
+      const xEdge = moved(newBox.x, oldBox.x)
+        ? 0
+        : moved(newBox.x + newBox.width, oldBox.x + oldBox.width) ? 2 : null;
+      const yEdge = moved(newBox.y, oldBox.y)
+        ? 1
+        : moved(newBox.y + newBox.height, oldBox.y + oldBox.height) ? 3 : null;
+      const found = [];
+
+      if (transformerRef.current.keepRatio() && xEdge !== null && yEdge !== null) {
+        // Ratio-locked boxes are resized from a corner: snap whichever of its
+        // two sides needs the smaller nudge and let the ratio place the other
+        const ratio = newBox.width / newBox.height;
+        const snapX = snapEdge(edges[xEdge], "vertical", options);
+        const snapY = snapEdge(edges[yEdge], "horizontal", options);
+        // A guide beats the grid; otherwise the smaller nudge wins
+        const useX =
+          Boolean(snapX.guide) !== Boolean(snapY.guide)
+            ? Boolean(snapX.guide)
+            : Math.abs(snapX.value - edges[xEdge]) <= Math.abs(snapY.value - edges[yEdge]);
+        const fixedX = edges[2 - xEdge];
+        const fixedY = edges[4 - yEdge];
+        const width = useX
+          ? Math.abs(snapX.value - fixedX)
+          : Math.abs(snapY.value - fixedY) * ratio;
+        const height = width / ratio;
+        const guide = useX ? snapX.guide : snapY.guide;
+        if (guide) found.push(guide);
+        edges[xEdge] = xEdge === 0 ? fixedX - width : fixedX + width;
+        edges[yEdge] = yEdge === 1 ? fixedY - height : fixedY + height;
+      } else {
+        const snap = (i, orientation) => {
+          const { value, guide } = snapEdge(edges[i], orientation, options);
+          edges[i] = value;
+          if (guide) found.push(guide);
+        };
+        if (xEdge !== null) snap(xEdge, "vertical");
+        if (yEdge !== null) snap(yEdge, "horizontal");
+      }
+      setGuides(found);
+
+      const start = toScreen({ x: edges[0], y: edges[1] }, viewport);
+      const end = toScreen({ x: edges[2], y: edges[3] }, viewport);
+      const snapped = {
+        ...newBox,
+        x: start.x,
+        y: start.y,
+        width: end.x - start.x,
+        height: end.y - start.y,
+      };
+      return snapped.width < 5 || snapped.height < 5 ? oldBox : snapped;
+    };
+
+    // Plain drags (no resize) only move nodes, so sync their new positions.
+    // Dragging a multi-selection fires dragend on every node; the first one
+    // syncs them all
+    const handleShapeDragEnd = (e) => {
+      const node = e.target;
+      if (node.getClassName() === "Transformer") return;
+      endSnapping();
+      const elementId = node.name();
+      if (!elements.some((el) => isSameId(el.id, elementId))) return;
+      if (dragBatchRef.current) return;
+      dragBatchRef.current = true;
+      setTimeout(() => {
+        dragBatchRef.current = false;
+      }, 0);
+
+      const ids = selectedIds.includes(elementId) ? selectedIds : [elementId];
+      const updates = ids
+        .map((id) => {
+          const element = elements.find((el) => isSameId(el.id, id));
+          const moved = stageRef.current.findOne(`.${id}`);
+          if (!element || !moved) return null;
+          if (element.points) {
+            // Lines keep absolute points, so bake the drag offset into them
+            const updatedAttrs = translateElement(element, moved.x(), moved.y());
+            moved.position({ x: 0, y: 0 });
+            return { elementId: id, updatedAttrs };
+          }
+          return { elementId: id, updatedAttrs: { x: moved.x(), y: moved.y() } };
+        })
+        .filter(Boolean);
+      applyShapeUpdates(updates);
+    };
     // Update stage size on mount and window resize
     useEffect(() => {
       const updateStageSize = () => {
@@ -218,7 +871,16 @@ const Whiteboard = forwardRef(
 
       updateStageSize();
       window.addEventListener("resize", updateStageSize);
-      return () => window.removeEventListener("resize", updateStageSize);
+      // The container also changes size when side panels appear or disappear
+      const observer =
+        typeof ResizeObserver !== "undefined" && stageContainerRef.current
+          ? new ResizeObserver(updateStageSize)
+          : null;
+      observer?.observe(stageContainerRef.current);
+      return () => {
+        window.removeEventListener("resize", updateStageSize);
+        observer?.disconnect();
+      };
     }, []);
 
     // Socket listeners
@@ -227,46 +889,88 @@ const Whiteboard = forwardRef(
         setElements((prev) => [...prev, element]);
       };
 
-      const handleRemoteDrawMove = (point) => {
-        setElements((prev) => {
-          if (prev.length === 0) return prev;
-          const lastIndex = prev.length - 1;
-          const updated = [...prev];
-          updated[lastIndex] = {
-            ...updated[lastIndex],
-            points: [...updated[lastIndex].points, point],
-          };
-          return updated;
+      // Points are routed by stroke id so concurrent drawers don't interleave
+      const handleRemoteDrawMove = ({ elementId, point }) => {
+        setElements((prev) => appendStrokePoint(prev, elementId, point));
+      };
+
+      const handleRemoteShapeUpdate = ({ elementId, updatedAttrs }) => {
+        setElements((prev) =>
+          prev.map((el) =>
+            isSameId(el.id, elementId) ? { ...el, ...updatedAttrs } : el
+          )
+        );
+      };
+
+      const handleLayersUpdate = ({ layers: next }) => {
+        setLayers(next);
+      };
+
+      const handleRemoteElementsUpdate = ({ updates }) => {
+        setElements((prev) => applyUpdates(prev, updates));
+      };
+
+      const handleRemoteElementsAdd = ({ entries }) => {
+        setElements((prev) => restoreElements(prev, entries));
+      };
+
+      const handleRemoteElementsDelete = ({ elementIds }) => {
+        setElements((prev) => removeElements(prev, elementIds));
+      };
+
+      const handleRemoteCursorMove = ({ userId, x, y }) => {
+        setRemoteCursors((prev) => ({ ...prev, [userId]: { x, y } }));
+      };
+
+      const handleRemoteCursorLeave = ({ userId }) => {
+        setRemoteCursors((prev) => {
+          const next = { ...prev };
+          delete next[userId];
+          return next;
         });
       };
 
-      const handleClearBoard = () => {
-        setElements([]);
+      // Without ids (REST clears) the whole board goes
+      const handleClearBoard = ({ elementIds } = {}) => {
+        setElements((prev) => (elementIds ? removeElements(prev, elementIds) : []));
         setDebugInfo("Board cleared by another user");
       };
 
-      /* const handleShapeRecognized = (data) => {
-      setElements(prev => {
-        const updated = [...prev];
-        const elementIndex = updated.findIndex(el => el.id === data.elementId);
-        if (elementIndex !== -1) {
-          updated[elementIndex] = data.shape;
-          setDebugInfo(`🤖 Remote AI recognized: ${data.shape.type}`);
-        }
-        return updated;
-      });
-    }; */
+      const handleShapeRecognized = (shape) => {
+        setElements((prev) => {
+          const exists = prev.some((el) => isSameId(el.id, shape.id));
+          if (!exists) return [...prev, shape];
+          return prev.map((el) => (isSameId(el.id, shape.id) ? shape : el));
+        });
+        setDebugInfo(`🤖 Remote AI recognized: ${shape.type}`);
+      };
 
       socket.on(EVENTS.DRAW_START, handleRemoteDrawStart);
       socket.on(EVENTS.DRAW_MOVE, handleRemoteDrawMove);
+      socket.on(EVENTS.SHAPE_UPDATE, handleRemoteShapeUpdate);
+      socket.on(EVENTS.ELEMENTS_UPDATE, handleRemoteElementsUpdate);
+      socket.on(EVENTS.LAYERS_UPDATE, handleLayersUpdate);
+      socket.on(EVENTS.ELEMENTS_ADD, handleRemoteElementsAdd);
+      socket.on(EVENTS.ELEMENTS_DELETE, handleRemoteElementsDelete);
+      socket.on(EVENTS.CURSOR_MOVE, handleRemoteCursorMove);
+      socket.on(EVENTS.CURSOR_LEAVE, handleRemoteCursorLeave);
+      socket.on(EVENTS.USER_LEFT, handleRemoteCursorLeave);
       socket.on(EVENTS.CLEAR_BOARD, handleClearBoard);
-      /* socket.on(EVENTS.SHAPE_RECOGNIZED, handleShapeRecognized); */
+      socket.on(EVENTS.SHAPE_RECOGNIZED, handleShapeRecognized);
 
       return () => {
         socket.off(EVENTS.DRAW_START, handleRemoteDrawStart);
         socket.off(EVENTS.DRAW_MOVE, handleRemoteDrawMove);
+        socket.off(EVENTS.SHAPE_UPDATE, handleRemoteShapeUpdate);
+        socket.off(EVENTS.ELEMENTS_UPDATE, handleRemoteElementsUpdate);
+        socket.off(EVENTS.LAYERS_UPDATE, handleLayersUpdate);
+        socket.off(EVENTS.ELEMENTS_ADD, handleRemoteElementsAdd);
+        socket.off(EVENTS.ELEMENTS_DELETE, handleRemoteElementsDelete);
+        socket.off(EVENTS.CURSOR_MOVE, handleRemoteCursorMove);
+        socket.off(EVENTS.CURSOR_LEAVE, handleRemoteCursorLeave);
+        socket.off(EVENTS.USER_LEFT, handleRemoteCursorLeave);
         socket.off(EVENTS.CLEAR_BOARD, handleClearBoard);
-        /* socket.off(EVENTS.SHAPE_RECOGNIZED, handleShapeRecognized); */
+        socket.off(EVENTS.SHAPE_RECOGNIZED, handleShapeRecognized);
       };
     }, [setElements, socket]);
 
@@ -275,13 +979,18 @@ const Whiteboard = forwardRef(
       const baseSize = 120;
       let newElement;
       
-      const centerX = x;
-      const centerY = y;
+      // Dropped shapes are centered on the nearest grid point
+      const snapDrop = (value) =>
+        showGrid && snapToGrid && !snapSuspendedRef.current
+          ? snapToGridValue(value, gridSize)
+          : value;
+      const centerX = snapDrop(x);
+      const centerY = snapDrop(y);
       
       switch(shapeType) {
         case "circle":
           newElement = {
-            id: Date.now(),
+            id: createElementId(),
             type: "circle",
             x: centerX,
             y: centerY,
@@ -292,7 +1001,7 @@ const Whiteboard = forwardRef(
           break;
         case "square":
           newElement = {
-            id: Date.now(),
+            id: createElementId(),
             type: "square",
             x: centerX - baseSize / 2,
             y: centerY - baseSize / 2,
@@ -303,7 +1012,7 @@ const Whiteboard = forwardRef(
           break;
         case "rectangle":
           newElement = {
-            id: Date.now(),
+            id: createElementId(),
             type: "rectangle",
             x: centerX - baseSize,
             y: centerY - baseSize / 2,
@@ -315,7 +1024,7 @@ const Whiteboard = forwardRef(
           break;
         case "triangle":
           newElement = {
-            id: Date.now(),
+            id: createElementId(),
             type: "triangle",
             points: [
               centerX - baseSize / 2, centerY + baseSize / 2, // bottom-left
@@ -335,13 +1044,29 @@ const Whiteboard = forwardRef(
             points_hex.push(centerY + radius_hex * Math.sin(angle));
           }
           newElement = {
-            id: Date.now(),
+            id: createElementId(),
             type: "hexagon",
             points: points_hex,
             color: selectedColor,
             strokeWidth: pencilSize,
           };
           break;
+        case SHAPES.STICKY:
+          newElement = {
+            id: createElementId(),
+            type: SHAPES.STICKY,
+            x: centerX - NOTE_SIZE / 2,
+            y: centerY - NOTE_SIZE / 2,
+            width: NOTE_SIZE,
+            height: NOTE_SIZE,
+            fill: noteColor,
+            color: "#1f2937",
+            text: "",
+            author: currentUser?.name || "Anonymous",
+            authorId: currentUser?.id ?? null,
+            votes: [],
+          };
+          break;
         case "pentagon":
           const radius_pent = baseSize / 2;
           const points_pent = [];
@@ -351,7 +1076,7 @@ const Whiteboard = forwardRef(
             points_pent.push(centerY + radius_pent * Math.sin(angle));
           }
           newElement = {
-            id: Date.now(),
+            id: createElementId(),
             type: "pentagon",
             points: points_pent,
             color: selectedColor,
@@ -361,11 +1086,19 @@ const Whiteboard = forwardRef(
         default:
           return;
       }
-      
+      if (isActiveLayerBlocked()) return;
+      newElement.layerId = activeLayer.id;
+
       setElements((prev) => [...prev, newElement]);
       socket.emit(EVENTS.DRAW_START, { roomId, element: newElement });
+      history.record({
+        type: "add",
+        entries: [{ element: newElement, index: elements.length }],
+      });
       setDraggedShape(null);
       setDebugInfo(`Added ${shapeType}`);
+      // A fresh note is only useful once it says something
+      if (newElement.type === SHAPES.STICKY) startTextEditing(newElement);
     };
 
     // HTML5 drag helpers for palette
@@ -391,8 +1124,24 @@ const Whiteboard = forwardRef(
       e.preventDefault();
       const rect = stageContainerRef.current?.getBoundingClientRect();
       if (!rect) return;
-      const x = e.clientX - rect.left;
-      const y = e.clientY - rect.top;
+      const { x, y } = toWorld(
+        { x: e.clientX - rect.left, y: e.clientY - rect.top },
+        viewport
+      );
+      // Pictures dragged in from the desktop or another page
+      const files = [...(e.dataTransfer.files || [])].filter((file) =>
+        file.type.startsWith("image/")
+      );
+      if (files.length > 0) {
+        files.forEach((file, i) =>
+          insertImage(file, {
+            x: x + i * DUPLICATE_OFFSET,
+            y: y + i * DUPLICATE_OFFSET,
+          })
+        );
+        setDraggedShape(null);
+        return;
+      }
       let shapeType = draggedShape;
       try {
         const dt = e.dataTransfer.getData("application/x-shape");
@@ -402,86 +1151,854 @@ const Whiteboard = forwardRef(
       setDraggedShape(null);
     };
 
-    // Drawing events
+    // Elements under a circular eraser, found by sampling Konva's hit canvas
+    const findElementIdsAt = (stage, pos, radius) => {
+      const samples = [pos];
+      for (let i = 0; i < 8; i++) {
+        const angle = (i * Math.PI) / 4;
+        samples.push({
+          x: pos.x + radius * Math.cos(angle),
+          y: pos.y + radius * Math.sin(angle),
+        });
+      }
+      const ids = new Set();
+      samples.forEach((point) => {
+        const node = stage.getIntersection(point);
+        const elementNode = node && getElementNode(node);
+        if (elementNode && elementNode.name()) ids.add(elementNode.name());
+      });
+      return [...ids];
+    };
+
+    // The eraser keeps its on-screen size at any zoom level
+    const eraseAt = (stage) => {
+      const session = eraseSessionRef.current;
+      if (!session) return;
+      const pos = stage.getRelativePointerPosition();
+      const radius = eraserSize / 2 / viewport.scale;
+      // The ref also reflects erasures from earlier moves that haven't rendered yet
+      const current = elementsRef.current;
+      const removedIds = [];
+      const pieces = [];
+
+      findElementIdsAt(stage, stage.getPointerPosition(), eraserSize / 2).forEach((id) => {
+        const index = current.findIndex((el) => isSameId(el.id, id));
+        if (index === -1) return;
+        const element = current[index];
+
+        if (eraserMode === "partial" && element.type === SHAPES.FREEHAND) {
+          const segments = splitStroke(
+            element.points,
+            pos,
+            radius + (element.strokeWidth || 0) / 2
+          );
+          if (!segments) return;
+          segments.forEach((points, i) => {
+            pieces.push({
+              element: { ...element, id: createElementId(), points },
+              index: index + i,
+            });
+          });
+        }
+        removedIds.push(element.id);
+        if (session.createdIds.has(String(element.id))) {
+          session.createdIds.delete(String(element.id));
+        } else {
+          session.removedEntries.push({ element, index });
+        }
+      });
+
+      if (removedIds.length === 0) return;
+      pieces.forEach((piece) => session.createdIds.add(String(piece.element.id)));
+
+      const apply = (prev) => restoreElements(removeElements(prev, removedIds), pieces);
+      elementsRef.current = apply(current);
+      setElements(apply);
+      socket.emit(EVENTS.ELEMENTS_DELETE, { roomId, elementIds: removedIds });
+      if (pieces.length > 0) {
+        socket.emit(EVENTS.ELEMENTS_ADD, { roomId, entries: pieces });
+      }
+    };
+
+    // One eraser drag becomes a single undoable operation
+    const finishErasing = () => {
+      const session = eraseSessionRef.current;
+      eraseSessionRef.current = null;
+      if (!session || session.removedEntries.length === 0) return;
+
+      const removed = { type: "delete", entries: session.removedEntries };
+      const created = toEntries(elementsRef.current, [...session.createdIds]);
+      history.record(
+        created.length > 0
+          ? {
+              type: "batch",
+              operations: [removed, { type: "add", entries: created }],
+            }
+          : removed
+      );
+      setDebugInfo(`Erased ${session.removedEntries.length} element(s)`);
+    };
+
+    // Inline text editing: a textarea is laid over the canvas while typing
+    const startTextEditing = (element, pos) => {
+      if (element?.type === SHAPES.STICKY) {
+        // Notes are edited in place, inside their text box
+        const box = getNoteTextBox(element);
+        setTextEditor({
+          elementId: element.id,
+          x: element.x + box.x,
+          y: element.y + box.y,
+          width: box.width,
+          height: box.height,
+          value: element.text,
+          fontSize: fitNoteFontSize(element),
+          lineHeight: NOTE_LINE_HEIGHT,
+          color: element.color,
+        });
+      } else if (element) {
+        setTextEditor({
+          elementId: element.id,
+          x: element.x,
+          y: element.y,
+          value: element.text,
+          fontSize: element.fontSize,
+          color: element.color,
+        });
+      } else {
+        setTextEditor({
+          elementId: null,
+          x: pos.x,
+          y: pos.y,
+          value: "",
+          fontSize: textSize,
+          color: selectedColor,
+        });
+      }
+    };
+
+    const commitTextEditing = () => {
+      // Enter and the following blur both land here; only the first one commits
+      const editor = textEditorRef.current;
+      textEditorRef.current = null;
+      setTextEditor(null);
+      if (!editor) return;
+      const value = editor.value.trim();
+
+      if (!editor.elementId) {
+        if (!value) return;
+        const newElement = {
+          id: createElementId(),
+          type: SHAPES.TEXT,
+          x: editor.x,
+          y: editor.y,
+          text: value,
+          fontSize: editor.fontSize,
+          color: editor.color,
+          layerId: activeLayer.id,
+        };
+        setElements((prev) => [...prev, newElement]);
+        socket.emit(EVENTS.DRAW_START, { roomId, element: newElement });
+        history.record({
+          type: "add",
+          entries: [{ element: newElement, index: elements.length }],
+        });
+        setDebugInfo("Added text");
+        return;
+      }
+
+      const element = elements.find((el) => isSameId(el.id, editor.elementId));
+      if (!element || element.text === value) return;
+      if (!value && element.type !== SHAPES.STICKY) {
+        // Emptying a label removes it
+        history.record({
+          type: "delete",
+          entries: toEntries(elements, [element.id]),
+        });
+        setElements((prev) => removeElements(prev, [element.id]));
+        socket.emit(EVENTS.ELEMENTS_DELETE, { roomId, elementIds: [element.id] });
+        return;
+      }
+      // Labels change size with their text, which moves attached connectors
+      applyShapeUpdates([{ elementId: String(element.id), updatedAttrs: { text: value } }]);
+    };
+
+    const handleTextEditorKeyDown = (e) => {
+      if (e.key === "Enter" && !e.shiftKey) {
+        e.preventDefault();
+        commitTextEditing();
+      } else if (e.key === "Escape") {
+        setTextEditor(null);
+      }
+    };
+
+    const handleTextDblClick = (element) => {
+      if (currentTool !== "select" && currentTool !== DRAWING_TOOLS.TEXT) return;
+      setSelectedIds([]);
+      startTextEditing(element);
+    };
+
+    // Pan/zoom. Wheel zooms around the pointer (trackpad pinches arrive as
+    // wheel events with ctrlKey set); space-drag or middle-drag pans
+    const handleWheel = (e) => {
+      e.evt.preventDefault();
+      const pointer = e.target.getStage().getPointerPosition();
+      if (!pointer) return;
+      const factor = Math.exp(-e.evt.deltaY * (e.evt.ctrlKey ? 0.01 : 0.0015));
+      changeViewport((current) => zoomAt(current, pointer, current.scale * factor));
+    };
+
+    const zoomBy = (factor) => {
+      const center = { x: stageSize.width / 2, y: stageSize.height / 2 };
+      changeViewport((current) => zoomAt(current, center, current.scale * factor));
+    };
+
+    const zoomToFit = () => {
+      const bounds = getBoundsOfElements(elements);
+      changeViewport(bounds ? fitBounds(bounds, stageSize) : DEFAULT_VIEWPORT);
+      setDebugInfo(bounds ? "Zoomed to fit" : "View reset");
+    };
+
+    const updatePan = (evt) => {
+      const { pointer, start } = panRef.current;
+      changeViewport({
+        ...start,
+        x: start.x + evt.clientX - pointer.x,
+        y: start.y + evt.clientY - pointer.y,
+      });
+    };
+
+    // Two-finger touch: pinch to zoom and move to pan
+    const handleTouchMove = (e) => {
+      const { touches } = e.evt;
+      if (touches.length !== 2) return;
+      e.evt.preventDefault();
+      const rect = stageContainerRef.current.getBoundingClientRect();
+      const [a, b] = [touches[0], touches[1]];
+      const center = {
+        x: (a.clientX + b.clientX) / 2 - rect.left,
+        y: (a.clientY + b.clientY) / 2 - rect.top,
+      };
+      const distance = Math.hypot(a.clientX - b.clientX, a.clientY - b.clientY);
+      const last = pinchRef.current;
+      pinchRef.current = { center, distance };
+      if (!last) return;
+      changeViewport((current) => {
+        const zoomed = zoomAt(current, center, current.scale * (distance / last.distance));
+        return {
+          ...zoomed,
+          x: zoomed.x + center.x - last.center.x,
+          y: zoomed.y + center.y - last.center.y,
+        };
+      });
+    };
+
+    const handleTouchEnd = () => {
+      pinchRef.current = null;
+    };
+
+    // Every element sharing a group with one of `ids`
+    const expandToGroups = (ids) => {
+      const picked = elements.filter((el) => ids.some((id) => isSameId(id, el.id)));
+      const groupIds = new Set(picked.map((el) => el.groupId).filter(Boolean));
+      return elements
+        .filter((el) => picked.includes(el) || groupIds.has(el.groupId))
+        .map((el) => String(el.id));
+    };
+
+    // Select everything the marquee touches
+    const finishMarquee = () => {
+      const { additive } = marqueeRef.current;
+      marqueeRef.current = null;
+      const box = marquee;
+      setMarquee(null);
+      if (!box || (box.width < 2 && box.height < 2)) return;
+
+      const hits = elements
+        .filter((el) => {
+          if (!isElementEditable(el, boardLayers)) return false;
+          const b = getElementBounds(el);
+          return (
+            b &&
+            b.x <= box.x + box.width &&
+            b.x + b.width >= box.x &&
+            b.y <= box.y + box.height &&
+            b.y + b.height >= box.y
+          );
+        })
+        .map((el) => el.id);
+      const ids = expandToGroups(hits);
+      setSelectedIds((prev) => (additive ? [...new Set([...prev, ...ids])] : ids));
+      setDebugInfo(`Selected ${ids.length} element(s)`);
+    };
+
+    const selectedElements = elements.filter((el) =>
+      selectedIds.includes(String(el.id))
+    );
+
+    const groupSelection = () => {
+      if (selectedIds.length < 2) return;
+      const groupId = createElementId();
+      applyShapeUpdates(
+        selectedIds.map((elementId) => ({ elementId, updatedAttrs: { groupId } }))
+      );
+      setDebugInfo(`Grouped ${selectedIds.length} elements`);
+    };
+
+    const ungroupSelection = () => {
+      const grouped = selectedElements.filter((el) => el.groupId);
+      if (grouped.length === 0) return;
+      applyShapeUpdates(
+        grouped.map((el) => ({
+          elementId: String(el.id),
+          updatedAttrs: { groupId: null },
+        }))
+      );
+      setDebugInfo("Ungrouped");
+    };
+
+    // Selected elements as movable units; a group moves as one
+    const getSelectionUnits = () => {
+      const units = new Map();
+      selectedElements.forEach((el) => {
+        const key = el.groupId || `element:${el.id}`;
+        units.set(key, [...(units.get(key) || []), el]);
+      });
+      return [...units.values()]
+        .map((members) => ({ members, bounds: getBoundsOfElements(members) }))
+        .filter((unit) => unit.bounds);
+    };
+
+    const moveUnits = (moves) => {
+      applyShapeUpdates(
+        moves
+          .filter(({ dx, dy }) => dx || dy)
+          .flatMap(({ unit, dx, dy }) =>
+            unit.members.map((el) => ({
+              elementId: String(el.id),
+              updatedAttrs: translateElement(el, dx, dy),
+            }))
+          )
+      );
+    };
+
+    // mode: 'left', 'center' (horizontal) or 'top'
+    const alignSelection = (mode) => {
+      const units = getSelectionUnits();
+      if (units.length < 2) return;
+      const all = getBoundsOfElements(selectedElements);
+      moveUnits(
+        units.map((unit) => {
+          if (mode === "left") return { unit, dx: all.x - unit.bounds.x, dy: 0 };
+          if (mode === "top") return { unit, dx: 0, dy: all.y - unit.bounds.y };
+          const center = all.x + all.width / 2;
+          return { unit, dx: center - (unit.bounds.x + unit.bounds.width / 2), dy: 0 };
+        })
+      );
+      setDebugInfo(`Aligned ${mode}`);
+    };
+
+    // Equal gaps between units, keeping the outermost ones in place
+    const distributeSelection = (axis) => {
+      const units = getSelectionUnits();
+      if (units.length < 3) return;
+      const pos = axis === "horizontal" ? "x" : "y";
+      const size = axis === "horizontal" ? "width" : "height";
+      const sorted = [...units].sort((a, b) => a.bounds[pos] - b.bounds[pos]);
+      const first = sorted[0].bounds;
+      const last = sorted[sorted.length - 1].bounds;
+      const span = last[pos] + last[size] - first[pos];
+      const occupied = sorted.reduce((sum, unit) => sum + unit.bounds[size], 0);
+      const gap = (span - occupied) / (sorted.length - 1);
+
+      let next = first[pos];
+      moveUnits(
+        sorted.map((unit) => {
+          const delta = next - unit.bounds[pos];
+          next += unit.bounds[size] + gap;
+          return axis === "horizontal"
+            ? { unit, dx: delta, dy: 0 }
+            : { unit, dx: 0, dy: delta };
+        })
+      );
+      setDebugInfo(`Distributed ${axis}ly`);
+    };
+
+    // New elements go out like drawn ones (DRAW_START each), come back as one
+    // undo step and end up selected
+    const addElements = (newElements) => {
+      if (newElements.length === 0) return;
+      // Uploads finish later, so count what is on the board by then
+      const count = elementsRef.current.length;
+      history.record({
+        type: "add",
+        entries: newElements.map((element, i) => ({ element, index: count + i })),
+      });
+      setElements((prev) => [...prev, ...newElements]);
+      newElements.forEach((element) =>
+        socket.emit(EVENTS.DRAW_START, { roomId, element })
+      );
+      setCurrentTool("select");
+      setSelectedIds(newElements.map((el) => String(el.id)));
+    };
+
+    // Pasted content lands under the pointer, or mid-screen without one
+    const getPasteCenter = () =>
+      pointerRef.current || {
+        x: visibleBounds.x + visibleBounds.width / 2,
+        y: visibleBounds.y + visibleBounds.height / 2,
+      };
+
+    const pasteElements = (copied) => {
+      const bounds = getBoundsOfElements(copied);
+      const center = getPasteCenter();
+      const copies = bounds
+        ? duplicateElements(
+            copied,
+            center.x - (bounds.x + bounds.width / 2),
+            center.y - (bounds.y + bounds.height / 2)
+          )
+        : duplicateElements(copied);
+      if (isActiveLayerBlocked()) return;
+      addElements(copies.map((copy) => ({ ...copy, layerId: activeLayer.id })));
+      setDebugInfo(`Pasted ${copies.length} element(s)`);
+    };
+
+    // Upload a dropped or pasted picture and place it centered on `center`.
+    // Big pictures start at no more than half the visible area
+    const insertImage = async (file, center) => {
+      if (isActiveLayerBlocked()) return;
+      setDebugInfo("Uploading image...");
+      try {
+        const { blob, width, height } = await prepareImage(file);
+        const src = await uploadImage(roomId, blob);
+        const scale = Math.min(
+          1 / viewport.scale,
+          (visibleBounds.width / 2) / width,
+          (visibleBounds.height / 2) / height
+        );
+        addElements([
+          {
+            id: createElementId(),
+            type: SHAPES.IMAGE,
+            x: center.x - (width * scale) / 2,
+            y: center.y - (height * scale) / 2,
+            width: width * scale,
+            height: height * scale,
+            src,
+            layerId: activeLayer.id,
+          },
+        ]);
+        setDebugInfo("Added image");
+      } catch (err) {
+        console.error("Image upload failed", err);
+        setDebugInfo(`Image upload failed: ${err.message}`);
+      }
+    };
+
+    const duplicateSelection = () => {
+      if (selectedElements.length === 0) return;
+      const copies = duplicateElements(
+        selectedElements,
+        DUPLICATE_OFFSET,
+        DUPLICATE_OFFSET
+      );
+      addElements(copies);
+      setDebugInfo(`Duplicated ${copies.length} element(s)`);
+    };
+
+    // Nearest anchor the connector tool would attach to, on shapes that are drawn
+    const snapToAnchor = (point, excludeId = null) =>
+      findNearestAnchor(
+        visibleElements,
+        point,
+        ANCHOR_SNAP_DISTANCE / viewport.scale,
+        excludeId
+      );
+
+    const finishConnector = () => {
+      const draft = connectorDraft;
+      setConnectorDraft(null);
+      const [x1, y1, x2, y2] = draft.points;
+      if (Math.hypot(x2 - x1, y2 - y1) < MIN_CONNECTOR_LENGTH) return;
+
+      const newElement = {
+        id: createElementId(),
+        type: SHAPES.ARROW,
+        points: draft.points,
+        start: draft.start,
+        end: draft.end,
+        arrowheads,
+        headStyle,
+        color: selectedColor,
+        strokeWidth: pencilSize,
+        layerId: activeLayer.id,
+      };
+      history.record({
+        type: "add",
+        entries: [{ element: newElement, index: elements.length }],
+      });
+      setElements((prev) => [...prev, newElement]);
+      socket.emit(EVENTS.DRAW_START, { roomId, element: newElement });
+      setDebugInfo(draft.start || draft.end ? "Connected shapes" : "Added arrow");
+    };
+
+    // Picks the color of new notes and applies it to the selected ones
+    const recolorNotes = (fill) => {
+      setNoteColor(fill);
+      applyShapeUpdates(
+        selectedElements
+          .filter((el) => el.type === SHAPES.STICKY && el.fill !== fill)
+          .map((el) => ({ elementId: String(el.id), updatedAttrs: { fill } }))
+      );
+    };
+
+    // Style edits from the properties panel. Slider and color picker drags
+    // only preview locally; the change is recorded and shared once, measured
+    // against the board from before the preview
+    const styleBaseRef = useRef(null);
+
+    // Each selected element takes the attributes it supports
+    const getStyleChanges = (targets, attrs) =>
+      targets
+        .map((el) => {
+          const keys = getStyleKeys(el).filter(
+            (key) => key in attrs && (el[key] ?? null) !== attrs[key]
+          );
+          return (
+            keys.length > 0 && {
+              elementId: String(el.id),
+              updatedAttrs: Object.fromEntries(keys.map((key) => [key, attrs[key]])),
+            }
+          );
+        })
+        .filter(Boolean);
+
+    const previewStyle = (attrs) => {
+      if (!styleBaseRef.current) styleBaseRef.current = elements;
+      setElements((prev) => applyUpdates(prev, getStyleChanges(selectedElements, attrs)));
+    };
+
+    const changeStyle = (attrs) => {
+      const base = styleBaseRef.current || elements;
+      styleBaseRef.current = null;
+      const targets = base.filter((el) => selectedIds.includes(String(el.id)));
+      applyShapeUpdates(getStyleChanges(targets, attrs), base);
+    };
+
+    // Votes are counted by the server, which sends the new list to everyone
+    const toggleVote = (element) => {
+      socket.emit(EVENTS.NOTE_VOTE, { roomId, elementId: element.id });
+    };
+
+    // Drawing onto a hidden or locked layer is refused with a hint
+    const isActiveLayerBlocked = () => {
+      if (activeLayer.visible && !activeLayer.locked) return false;
+      setDebugInfo(
+        `${activeLayer.name} is ${activeLayer.locked ? "locked" : "hidden"}`
+      );
+      return true;
+    };
+
+    // Move the selection one step up or down within its layers
+    const reorderSelection = (direction) => {
+      const moves = getReorderMoves(elements, selectedIds, direction, boardLayers);
+      if (moves.length === 0) {
+        setDebugInfo(direction === "forward" ? "Already in front" : "Already at the back");
+        return;
+      }
+      const entries = moves.map(({ elementId, to }) => ({
+        element: elements.find((el) => isSameId(el.id, elementId)),
+        index: to,
+      }));
+      history.record({ type: "reorder", moves });
+      setElements((prev) => restoreElements(prev, entries));
+      socket.emit(EVENTS.ELEMENTS_ADD, { roomId, entries });
+      setDebugInfo(direction === "forward" ? "Brought forward" : "Sent backward");
+    };
+
+    // Layer edits replace the room's whole layer list
+    const updateLayers = (next) => {
+      setLayers(next);
+      socket.emit(EVENTS.LAYERS_UPDATE, { roomId, layers: next });
+    };
+
+    const addLayer = () => {
+      const layer = {
+        id: createElementId(),
+        name: `Layer ${boardLayers.length + 1}`,
+        visible: true,
+        locked: false,
+      };
+      updateLayers([...boardLayers, layer]);
+      setActiveLayerId(layer.id);
+    };
+
+    const toggleLayer = (layerId, key) => {
+      updateLayers(
+        boardLayers.map((layer) =>
+          layer.id === layerId ? { ...layer, [key]: !layer[key] } : layer
+        )
+      );
+    };
+
+    const moveLayer = (layerId, step) => {
+      const from = boardLayers.findIndex((layer) => layer.id === layerId);
+      const to = from + step;
+      if (to < 0 || to >= boardLayers.length) return;
+      const next = [...boardLayers];
+      next.splice(to, 0, next.splice(from, 1)[0]);
+      updateLayers(next);
+    };
+
+    // Elements of a deleted layer move to the one below it (above for the bottom layer)
+    const deleteLayer = (layerId) => {
+      if (boardLayers.length < 2) return;
+      const index = boardLayers.findIndex((layer) => layer.id === layerId);
+      const target = boardLayers[index === 0 ? 1 : index - 1];
+      applyShapeUpdates(
+        elements
+          .filter((el) => getElementLayer(el, boardLayers).id === layerId)
+          .map((el) => ({
+            elementId: String(el.id),
+            updatedAttrs: { layerId: target.id },
+          }))
+      );
+      updateLayers(boardLayers.filter((layer) => layer.id !== layerId));
+      if (activeLayer.id === layerId) setActiveLayerId(target.id);
+    };
+
+    const moveSelectionToLayer = (layerId) => {
+      applyShapeUpdates(
+        selectedElements.map((el) => ({
+          elementId: String(el.id),
+          updatedAttrs: { layerId },
+        }))
+      );
+      setActiveLayerId(layerId);
+    };
+
+    const toggleElement = (elementId, key) => {
+      const element = elements.find((el) => isSameId(el.id, elementId));
+      if (element) applyShapeUpdate(element.id, { [key]: !element[key] });
+    };
+
+    const selectFromPanel = (elementId) => {
+      const element = elements.find((el) => isSameId(el.id, elementId));
+      if (!element || !isElementEditable(element, boardLayers)) return;
+      setCurrentTool("select");
+      setSelectedIds(expandToGroups([element.id]));
+    };
+
+    // Space is reserved for panning while held
+    const canDragShapes = currentTool === "select" && !isSpacePressed;
+
+    // Anchors of the shapes around the pointer, shown while the arrow tool is active
+    const anchorTargets =
+      currentTool === DRAWING_TOOLS.ARROW && anchorHint
+        ? visibleElements.filter((el) => {
+            const box = getElementBounds(el);
+            const reach = (ANCHOR_SNAP_DISTANCE * 3) / viewport.scale;
+            return (
+              box &&
+              getAnchors(el).length > 0 &&
+              anchorHint.x >= box.x - reach &&
+              anchorHint.x <= box.x + box.width + reach &&
+              anchorHint.y >= box.y - reach &&
+              anchorHint.y <= box.y + box.height + reach
+            );
+          })
+        : [];
+
+    // Drawing events. Pointer positions are converted to world coordinates so
+    // peers with other viewports see the same board
     const handleMouseDown = (e) => {
+      if (e.evt.button === 1 || isSpacePressed) {
+        e.evt.preventDefault();
+        panRef.current = {
+          pointer: { x: e.evt.clientX, y: e.evt.clientY },
+          start: viewport,
+        };
+        return;
+      }
+
+      if (currentTool === DRAWING_TOOLS.TEXT) {
+        // A click while typing just finishes the current label
+        if (textEditor) {
+          commitTextEditing();
+          return;
+        }
+        const clickedOn = getElementNode(e.target);
+        const existing = elements.find(
+          (el) =>
+            isSameId(el.id, clickedOn.name()) &&
+            (el.type === SHAPES.TEXT || el.type === SHAPES.STICKY)
+        );
+        startTextEditing(existing, e.target.getStage().getRelativePointerPosition());
+        return;
+      }
+
       if (currentTool === "select") {
-        const clickedOn = e.target;
-        if (
-          clickedOn.getClassName() === "Line" ||
-          clickedOn.getClassName() === "Circle" ||
-          clickedOn.getClassName() === "Rect"
-        ) {
-          setSelectedId(clickedOn.name()); // Assume you set name={element.id} on shapes
+        // Transformer anchors and its drag area handle themselves
+        if (e.target.getParent()?.getClassName() === "Transformer") return;
+        const clickedOn = getElementNode(e.target);
+        const element = elements.find((el) => isSameId(el.id, clickedOn.name()));
+        const additive = e.evt.shiftKey;
+
+        if (element) {
+          const ids = expandToGroups([element.id]);
+          if (additive) {
+            // Shift-click toggles the element (or its whole group)
+            setSelectedIds((prev) =>
+              prev.includes(String(element.id))
+                ? prev.filter((id) => !ids.includes(id))
+                : [...new Set([...prev, ...ids])]
+            );
+          } else if (!selectedIds.includes(String(element.id))) {
+            setSelectedIds(ids);
+          }
           return;
-        } else {
-          setSelectedId(null); // Deselect if click empty
         }
+
+        // Empty canvas: drag out a marquee
+        const pos = e.target.getStage().getRelativePointerPosition();
+        marqueeRef.current = { origin: pos, additive };
+        setMarquee({ x: pos.x, y: pos.y, width: 0, height: 0 });
+        if (!additive) setSelectedIds([]);
         return;
       }
       
       const stage = e.target.getStage();
-      const pos = stage.getPointerPosition();
+      const pos = stage.getRelativePointerPosition();
+
+      if (currentTool !== "eraser" && isActiveLayerBlocked()) return;
+
+      if (currentTool === DRAWING_TOOLS.ARROW) {
+        // Starting on an anchor attaches the connector's tail to that shape
+        const snap = snapToAnchor(pos);
+        const from = snap || pos;
+        setConnectorDraft({
+          points: [from.x, from.y, from.x, from.y],
+          start: snap && { elementId: snap.elementId, anchor: snap.anchor },
+          end: null,
+        });
+        return;
+      }
 
       setIsDrawing(true);
+      if (currentTool === "eraser") {
+        eraseSessionRef.current = { removedEntries: [], createdIds: new Set() };
+        eraseAt(stage);
+        setDebugInfo("Erasing...");
+        return;
+      }
+
       const newElement = {
-        id: Date.now(),
-        type: isErasing ? SHAPES.ERASER : SHAPES.FREEHAND,
+        id: createElementId(),
+        type: SHAPES.FREEHAND,
         points: [[pos.x, pos.y]],
-        color: isErasing ? "#ffffff" : selectedColor,
-        strokeWidth: isErasing ? eraserSize : pencilSize,
+        color: selectedColor,
+        strokeWidth: pencilSize,
+        layerId: activeLayer.id,
       };
 
       /* // Store current stroke for shape recognition (disabled)
     setCurrentStroke(newElement); */
 
+      currentStrokeIdRef.current = newElement.id;
       setElements((prev) => [...prev, newElement]);
       socket.emit(EVENTS.DRAW_START, { roomId, element: newElement });
-      setDebugInfo(isErasing ? "Erasing..." : `Drawing with ${selectedColor}`);
+      setDebugInfo(`Drawing with ${selectedColor}`);
+    };
+
+    // Share our pointer with the room, at most once per CURSOR_THROTTLE_MS
+    const broadcastCursor = (pos) => {
+      const now = Date.now();
+      if (now - lastCursorEmitRef.current < CURSOR_THROTTLE_MS) return;
+      lastCursorEmitRef.current = now;
+      socket.emit(EVENTS.CURSOR_MOVE, { roomId, x: pos.x, y: pos.y });
     };
 
     const handleMouseMove = (e) => {
+      if (panRef.current) {
+        updatePan(e.evt);
+        return;
+      }
+      const pointer = e.target.getStage().getRelativePointerPosition();
+      if (pointer) broadcastCursor(pointer);
+      pointerRef.current = pointer;
+
+      if (marqueeRef.current && pointer) {
+        const { origin } = marqueeRef.current;
+        setMarquee({
+          x: Math.min(origin.x, pointer.x),
+          y: Math.min(origin.y, pointer.y),
+          width: Math.abs(pointer.x - origin.x),
+          height: Math.abs(pointer.y - origin.y),
+        });
+        return;
+      }
+
+      if (currentTool === DRAWING_TOOLS.ARROW && pointer) {
+        setAnchorHint(pointer);
+        if (connectorDraft) {
+          const snap = snapToAnchor(pointer, connectorDraft.start?.elementId ?? null);
+          const to = snap || pointer;
+          setConnectorDraft({
+            ...connectorDraft,
+            points: [connectorDraft.points[0], connectorDraft.points[1], to.x, to.y],
+            end: snap && { elementId: snap.elementId, anchor: snap.anchor },
+          });
+        }
+        return;
+      }
+
       if (currentTool !== "pencil" && currentTool !== "eraser") return;
       if (!isDrawing) return;
 
       const stage = e.target.getStage();
-      const pos = stage.getPointerPosition();
-
-      setElements((prev) => {
-        if (prev.length === 0) return prev;
-
-        const lastIndex = prev.length - 1;
-        const lastElement = prev[lastIndex];
-
-        if (
-          lastElement.type === SHAPES.FREEHAND ||
-          lastElement.type === SHAPES.ERASER
-        ) {
-          const updatedElement = {
-            ...lastElement,
-            points: [...lastElement.points, [pos.x, pos.y]],
-            color: isErasing ? "#ffffff" : selectedColor,
-          };
+      const pos = stage.getRelativePointerPosition();
 
-          /* // Update current stroke for shape recognition (disabled)
-        setCurrentStroke(updatedElement); */
+      if (currentTool === "eraser") {
+        eraseAt(stage);
+        return;
+      }
 
-          return [...prev.slice(0, lastIndex), updatedElement];
-        }
-        return prev;
-      });
+      const elementId = currentStrokeIdRef.current;
+      if (!elementId) return;
+
+      // Remote strokes may have been appended since ours started, so address it by id
+      setElements((prev) => appendStrokePoint(prev, elementId, [pos.x, pos.y]));
 
       socket.emit(EVENTS.DRAW_MOVE, {
         roomId,
+        elementId,
         point: [pos.x, pos.y],
-        color: isErasing ? "#ffffff" : selectedColor,
+        color: selectedColor,
       });
     };
 
     const handleMouseUp = async () => {
+      if (panRef.current) {
+        panRef.current = null;
+        return;
+      }
+      if (marqueeRef.current) {
+        finishMarquee();
+        return;
+      }
+      if (connectorDraft) {
+        finishConnector();
+        return;
+      }
       if (currentTool !== "pencil" && currentTool !== "eraser") return;
       if (!isDrawing) return;
       setIsDrawing(false);
 
+      if (currentTool === "eraser") {
+        finishErasing();
+        return;
+      }
+
       /*
     // AI Shape Recognition (disabled)
     if (shapeRecognitionEnabled && currentStroke && currentStroke.points.length > 5) {
@@ -489,40 +2006,214 @@ const Whiteboard = forwardRef(
     }
     */
 
+      const elementId = currentStrokeIdRef.current;
+      currentStrokeIdRef.current = null;
+
       // AI-based recognition with occasional mistakes; fallback to heuristics if null
-      setElements((prev) => {
-        if (prev.length === 0) return prev;
-        const lastIndex = prev.length - 1;
-        const lastElement = prev[lastIndex];
-        if (
-          lastElement.type !== SHAPES.FREEHAND ||
-          (lastElement.points?.length || 0) < 6
-        ) {
-          return prev;
-        }
+      const lastElement = elements.find((el) => el.id === elementId);
+      let newShape = null;
+      let aiResult = null;
+      if (
+        aiModelLoaded &&
+        lastElement?.type === SHAPES.FREEHAND &&
+        (lastElement.points?.length || 0) >= 6
+      ) {
         // Recognize via unified AI service (includes internal fallback)
-        const aiResult = aiModelLoaded
-          ? aiShapeRecognition.recognizeShape(lastElement.points)
-          : null;
+        aiResult = aiShapeRecognition.recognizeShape(lastElement.points);
         const recognized = aiResult?.features;
-        if (!recognized) return prev;
-        const newShape = {
-          id: lastElement.id,
-          ...recognized,
-          color: lastElement.color,
-          strokeWidth: lastElement.strokeWidth,
-        };
+        if (recognized) {
+          newShape = {
+            id: lastElement.id,
+            ...recognized,
+            color: lastElement.color,
+            strokeWidth: lastElement.strokeWidth,
+            layerId: lastElement.layerId,
+          };
+        }
+      }
+
+      /* setCurrentStroke(null); */
+      socket.emit(EVENTS.DRAW_END, { roomId, elementId });
+      history.record({
+        type: "add",
+        entries: toEntries(elements, [elementId]),
+      });
+
+      if (newShape) {
+        // The shape keeps the stroke's id so peers and the server swap it in place
+        setElements((prev) =>
+          prev.map((el) => (el.id === newShape.id ? newShape : el))
+        );
+        socket.emit(EVENTS.SHAPE_RECOGNIZED, { roomId, shape: newShape });
         setDebugInfo(
-          `Recognized: ${recognized.type}${
-            aiResult ? ` (${(aiResult.confidence * 100).toFixed(0)}%)` : ""
-          }`
+          `Recognized: ${newShape.type} (${(aiResult.confidence * 100).toFixed(0)}%)`
         );
-        return [...prev.slice(0, lastIndex), newShape];
+      } else {
+        setDebugInfo("Drawing ended");
+      }
+    };
+
+    const handleStageMouseLeave = () => {
+      handleMouseUp();
+      pointerRef.current = null;
+      setAnchorHint(null);
+      lastCursorEmitRef.current = 0;
+      socket.emit(EVENTS.CURSOR_LEAVE, { roomId });
+    };
+
+    // Region and elements an export covers, in world coordinates
+    const getExportTarget = () => {
+      if (exportScope === "selection") {
+        const selected = selectedElements;
+        const bounds = getBoundsOfElements(selected, EXPORT_PADDING);
+        return bounds && { elements: selected, bounds };
+      }
+      if (exportScope === "content") {
+        const bounds = getBoundsOfElements(visibleElements, EXPORT_PADDING);
+        return bounds && { elements: visibleElements, bounds };
+      }
+      return { elements: visibleElements, bounds: getVisibleBounds(viewport, stageSize) };
+    };
+
+    // Rasterize a region of the stage over the canvas color, leaving out the
+    // transformer and anything outside the target
+    const renderRegion = (target, region, pixelsPerUnit = 2) => {
+      const stage = stageRef.current;
+      const transformer = transformerRef.current;
+      const included = new Set(target.elements.map((el) => String(el.id)));
+      const hidden = transformer
+        .getLayer()
+        .getChildren(
+          (node) =>
+            node.visible() &&
+            (node === transformer || !included.has(node.name()))
+        );
+      hidden.forEach((node) => node.visible(false));
+      const origin = toScreen(region, viewport);
+      const content = stage.toCanvas({
+        x: origin.x,
+        y: origin.y,
+        width: region.width * viewport.scale,
+        height: region.height * viewport.scale,
+        pixelRatio: pixelsPerUnit / viewport.scale,
       });
+      hidden.forEach((node) => node.visible(true));
+
+      const canvas = document.createElement("canvas");
+      canvas.width = content.width;
+      canvas.height = content.height;
+      const ctx = canvas.getContext("2d");
+      ctx.fillStyle = canvasColor;
+      ctx.fillRect(0, 0, canvas.width, canvas.height);
+      ctx.drawImage(content, 0, 0);
+      return canvas;
+    };
 
-      /* setCurrentStroke(null); */
-      socket.emit(EVENTS.DRAW_END, { roomId });
-      setDebugInfo("Drawing ended");
+    const exportPdf = (target) => {
+      const scale = PDF_PAGE.width / PDF_TILE.width;
+      const pages = paginate(target.bounds, PDF_TILE.width, PDF_TILE.height).map(
+        (tile) => {
+          const canvas = renderRegion(target, tile);
+          return {
+            jpeg: dataUrlToBytes(canvas.toDataURL("image/jpeg", 0.92)),
+            width: canvas.width,
+            height: canvas.height,
+            drawWidth: tile.width * scale,
+            drawHeight: tile.height * scale,
+          };
+        }
+      );
+      return createImagePdf(pages, {
+        pageWidth: PDF_PAGE.width,
+        pageHeight: PDF_PAGE.height,
+      });
+    };
+
+    const handleExport = (format) => {
+      const target = getExportTarget();
+      if (!target) {
+        setDebugInfo(
+          exportScope === "selection" ? "Select an element to export" : "Nothing to export"
+        );
+        return;
+      }
+      const fileName = exportFileName(roomId, format);
+      try {
+        if (format === "png") {
+          downloadFile(fileName, renderRegion(target, target.bounds).toDataURL("image/png"));
+        } else if (format === "svg") {
+          const svg = elementsToSvg(target.elements, {
+            bounds: target.bounds,
+            background: canvasColor,
+          });
+          downloadFile(fileName, new Blob([svg], { type: "image/svg+xml" }));
+        } else if (format === "pdf") {
+          downloadFile(fileName, exportPdf(target));
+        }
+        setShowExportMenu(false);
+        setDebugInfo(`Exported ${format.toUpperCase()}`);
+      } catch (err) {
+        console.error("Export failed", err);
+        setDebugInfo("Export failed");
+      }
+    };
+
+    const handleSaveBoard = () => {
+      const board = createBoardDocument({
+        elements,
+        canvasColor,
+        grid: { visible: showGrid, size: gridSize },
+        layers,
+      });
+      downloadFile(
+        exportFileName(roomId, BOARD_FILE_EXTENSION.slice(1)),
+        new Blob([JSON.stringify(board, null, 2)], { type: "application/json" })
+      );
+      setDebugInfo("Board saved");
+    };
+
+    // Opening a board replaces it for everyone in the room; undo brings the old one back
+    const handleOpenBoard = async (e) => {
+      const file = e.target.files[0];
+      e.target.value = "";
+      if (!file) return;
+      if (
+        elements.length > 0 &&
+        !window.confirm("Replace the current board for everyone in the room?")
+      ) {
+        return;
+      }
+
+      const previous = elementsRef.current;
+      const previousLayers = layers;
+      try {
+        const board = await loadBoardIntoRoom(roomId, await readBoardFile(file));
+        // Undo brings back the old layers too, so old elements keep theirs
+        history.record({
+          type: "batch",
+          operations: [
+            { type: "layers", before: previousLayers, after: board.layers },
+            {
+              type: "clear",
+              entries: previous.map((element, index) => ({ element, index })),
+            },
+            {
+              type: "add",
+              entries: board.elements.map((element, index) => ({ element, index })),
+            },
+          ],
+        });
+        setElements(board.elements);
+        setLayers(board.layers);
+        setSelectedIds([]);
+        setCanvasColor(board.canvas.color);
+        setShowGrid(board.grid.visible);
+        setGridSize(board.grid.size);
+        setDebugInfo(`Opened ${file.name}`);
+      } catch (err) {
+        console.error("Failed to open board", err);
+        setDebugInfo(`Could not open board: ${err.message}`);
+      }
     };
 
     // Tool actions
@@ -616,7 +2307,7 @@ const Whiteboard = forwardRef(
                     `Size controls ${showSizeControls ? "hidden" : "shown"}`
                   );
                 }}
-                title="Adjust Pen and Eraser Size"
+                title="Adjust Pen, Eraser and Text Size"
               >
                 📏
               </button>
@@ -629,8 +2320,101 @@ const Whiteboard = forwardRef(
               >
                 🔍
               </button>
+              <button
+                className={`tool-btn ${
+                  currentTool === DRAWING_TOOLS.TEXT ? "active" : ""
+                }`}
+                onClick={() => {
+                  setCurrentTool(DRAWING_TOOLS.TEXT);
+                  setIsDrawing(false);
+                  setDebugInfo("Click on the canvas to add text");
+                }}
+                title="Text Tool"
+              >
+                🔤
+              </button>
+              <button
+                className={`tool-btn ${
+                  currentTool === DRAWING_TOOLS.ARROW ? "active" : ""
+                }`}
+                onClick={() => {
+                  setCurrentTool(DRAWING_TOOLS.ARROW);
+                  setIsDrawing(false);
+                  setDebugInfo("Drag between shapes to connect them");
+                }}
+                title="Arrow / Connector Tool"
+              >
+                ↗️
+              </button>
               {/* AI toggle removed (disabled) */}
             </div>
+            {currentTool === "eraser" && (
+              <div className="eraser-modes">
+                <button
+                  className={`eraser-mode-btn ${
+                    eraserMode === "object" ? "active" : ""
+                  }`}
+                  onClick={() => {
+                    setEraserMode("object");
+                    setDebugInfo("Eraser removes whole elements");
+                  }}
+                  title="Erase whole elements"
+                >
+                  Object
+                </button>
+                <button
+                  className={`eraser-mode-btn ${
+                    eraserMode === "partial" ? "active" : ""
+                  }`}
+                  onClick={() => {
+                    setEraserMode("partial");
+                    setDebugInfo("Eraser cuts through strokes");
+                  }}
+                  title="Erase parts of freehand strokes"
+                >
+                  Partial
+                </button>
+              </div>
+            )}
+            {currentTool === DRAWING_TOOLS.ARROW && (
+              <>
+                <div className="arrow-options">
+                  {[
+                    ["end", "→", "Arrowhead at the end"],
+                    ["both", "↔", "Arrowheads at both ends"],
+                    ["none", "—", "Plain connector"],
+                  ].map(([value, label, title]) => (
+                    <button
+                      key={value}
+                      className={`arrow-option-btn ${
+                        arrowheads === value ? "active" : ""
+                      }`}
+                      onClick={() => setArrowheads(value)}
+                      title={title}
+                    >
+                      {label}
+                    </button>
+                  ))}
+                </div>
+                <div className="arrow-options">
+                  {[
+                    ["filled", "Filled"],
+                    ["outline", "Outline"],
+                  ].map(([value, label]) => (
+                    <button
+                      key={value}
+                      className={`arrow-option-btn ${
+                        headStyle === value ? "active" : ""
+                      }`}
+                      onClick={() => setHeadStyle(value)}
+                      title={`${label} arrowheads`}
+                    >
+                      {label}
+                    </button>
+                  ))}
+                </div>
+              </>
+            )}
           </div>
 
           <div className="tool-group size-controls-group">
@@ -664,10 +2448,62 @@ const Whiteboard = forwardRef(
                     className="size-slider"
                   />
                 </div>
+                <div className="size-control">
+                  <label>Text: {textSize}px</label>
+                  <input
+                    type="range"
+                    min="10"
+                    max="96"
+                    value={textSize}
+                    onChange={(e) => setTextSize(parseInt(e.target.value))}
+                    className="size-slider"
+                  />
+                </div>
               </div>
             )}
           </div>
 
+          <div className="tool-group">
+            <div className="tool-group-title">Grid &amp; Snapping</div>
+            <div className="size-controls">
+              <div className="size-control">
+                <label>Grid: {gridSize}px</label>
+                <input
+                  type="range"
+                  min="8"
+                  max="96"
+                  step="4"
+                  value={gridSize}
+                  onChange={(e) => setGridSize(parseInt(e.target.value))}
+                  className="size-slider"
+                />
+              </div>
+              <label
+                className="snap-option"
+                title={showGrid ? "Moves, resizes and drops snap to the grid" : "Show the grid (⊞) to snap to it"}
+              >
+                <input
+                  type="checkbox"
+                  checked={snapToGrid}
+                  disabled={!showGrid}
+                  onChange={(e) => setSnapToGrid(e.target.checked)}
+                />
+                Snap to grid
+              </label>
+              <label
+                className="snap-option"
+                title="Line edges and centers up with other elements"
+              >
+                <input
+                  type="checkbox"
+                  checked={smartGuides}
+                  onChange={(e) => setSmartGuides(e.target.checked)}
+                />
+                Smart guides
+              </label>
+            </div>
+          </div>
+
           <div className="tool-group">
             <div className="tool-group-title">Shapes</div>
             <div className="shape-palette">
@@ -728,6 +2564,27 @@ const Whiteboard = forwardRef(
             </div>
           </div>
 
+          <div className="tool-group">
+            <div className="tool-group-title">Sticky Notes</div>
+            <div className="note-palette">
+              {NOTE_COLORS.map(({ name, fill }) => (
+                <div
+                  key={fill}
+                  className={`note-swatch ${noteColor === fill ? "active" : ""}`}
+                  style={{ backgroundColor: fill }}
+                  draggable
+                  onDragStart={(e) => {
+                    setNoteColor(fill);
+                    handlePaletteDragStart(e, SHAPES.STICKY);
+                  }}
+                  onDragEnd={handlePaletteDragEnd}
+                  onClick={() => recolorNotes(fill)}
+                  title={`${name} note: drag onto the canvas, or click to recolor selected notes`}
+                />
+              ))}
+            </div>
+          </div>
+
           <div className="tool-group">
             <div className="tool-group-title">Pen Color</div>
             <button
@@ -879,28 +2736,258 @@ const Whiteboard = forwardRef(
         {/* Floating Canvas Controls */}
         <div className="canvas-controls">
           <button
-            className="canvas-btn"
+            className={`canvas-btn ${showGrid ? "active" : ""}`}
             onClick={() => setShowGrid(!showGrid)}
             title={showGrid ? "Hide Grid" : "Show Grid"}
           >
             ⊞
           </button>
+          <button
+            className="canvas-btn"
+            onClick={handleUndo}
+            disabled={!history.canUndo}
+            title="Undo (Ctrl+Z)"
+          >
+            ↶
+          </button>
+          <button
+            className="canvas-btn"
+            onClick={handleRedo}
+            disabled={!history.canRedo}
+            title="Redo (Ctrl+Y)"
+          >
+            ↷
+          </button>
+          <button
+            className={`canvas-btn ${showLayers ? "active" : ""}`}
+            onClick={() => setShowLayers(!showLayers)}
+            title={showLayers ? "Hide layers" : "Show layers"}
+          >
+            🗂️
+          </button>
+          <button
+            className="canvas-btn"
+            onClick={handleSaveBoard}
+            title="Save board"
+          >
+            💾
+          </button>
+          <button
+            className="canvas-btn"
+            onClick={() => boardFileInputRef.current?.click()}
+            title="Open board"
+          >
+            📂
+          </button>
+          <input
+            ref={boardFileInputRef}
+            type="file"
+            accept=".json,application/json"
+            onChange={handleOpenBoard}
+            hidden
+          />
+          <div className="export-wrapper">
+            <button
+              className={`canvas-btn ${showExportMenu ? "active" : ""}`}
+              onClick={() => setShowExportMenu(!showExportMenu)}
+              title="Export"
+            >
+              📤
+            </button>
+            {showExportMenu && (
+              <div className="export-menu">
+                <div className="export-menu-title">Export area</div>
+                {[
+                  ["canvas", "Visible canvas"],
+                  ["content", "All content"],
+                  ["selection", "Selection only"],
+                ].map(([scope, label]) => (
+                  <label key={scope} className="export-scope">
+                    <input
+                      type="radio"
+                      name="export-scope"
+                      checked={exportScope === scope}
+                      disabled={scope === "selection" && selectedIds.length === 0}
+                      onChange={() => setExportScope(scope)}
+                    />
+                    {label}
+                  </label>
+                ))}
+                <div className="export-formats">
+                  {["png", "svg", "pdf"].map((format) => (
+                    <button
+                      key={format}
+                      className="export-format-btn"
+                      onClick={() => handleExport(format)}
+                    >
+                      {format.toUpperCase()}
+                    </button>
+                  ))}
+                </div>
+              </div>
+            )}
+          </div>
           <button
             className="canvas-btn danger"
-            onClick={() => {
-              setElements([]);
-              socket.emit(EVENTS.CLEAR_BOARD, { roomId });
-            }}
+            onClick={clearBoard}
             title="Clear Canvas"
           >
             🗑️
           </button>
         </div>
 
+        <div className="zoom-controls">
+          <button
+            className="canvas-btn"
+            onClick={() => zoomBy(1 / ZOOM_STEP)}
+            title="Zoom out"
+          >
+            −
+          </button>
+          <button
+            className="zoom-level"
+            onClick={() => zoomBy(1 / viewport.scale)}
+            title="Reset zoom to 100%"
+          >
+            {Math.round(viewport.scale * 100)}%
+          </button>
+          <button
+            className="canvas-btn"
+            onClick={() => zoomBy(ZOOM_STEP)}
+            title="Zoom in"
+          >
+            +
+          </button>
+          <button className="canvas-btn" onClick={zoomToFit} title="Zoom to fit">
+            ⤢
+          </button>
+          <button
+            className={`canvas-btn ${showMinimap ? "active" : ""}`}
+            onClick={() => setShowMinimap(!showMinimap)}
+            title={showMinimap ? "Hide minimap" : "Show minimap"}
+          >
+            🗺️
+          </button>
+        </div>
+
+        {showMinimap && (
+          <Minimap
+            elements={visibleElements}
+            visibleBounds={visibleBounds}
+            remoteViewports={remoteViewports}
+            users={users}
+            onNavigate={(point) =>
+              changeViewport((current) => centerOn(point, current, stageSize))
+            }
+          />
+        )}
+
+        {currentTool === "select" && selectedElements.length > 0 && (
+          <PropertiesPanel
+            className={showLayers ? "beside-layers" : ""}
+            elements={selectedElements}
+            onPreview={previewStyle}
+            onChange={changeStyle}
+          />
+        )}
+
+        {showLayers && (
+          <LayersPanel
+            layers={boardLayers}
+            elements={elements}
+            activeLayerId={activeLayer.id}
+            selectedIds={selectedIds}
+            onActivateLayer={setActiveLayerId}
+            onAddLayer={addLayer}
+            onRenameLayer={(layerId, name) =>
+              updateLayers(
+                boardLayers.map((layer) =>
+                  layer.id === layerId ? { ...layer, name } : layer
+                )
+              )
+            }
+            onToggleLayer={toggleLayer}
+            onMoveLayer={moveLayer}
+            onDeleteLayer={deleteLayer}
+            onMoveSelectionToLayer={moveSelectionToLayer}
+            onToggleElement={toggleElement}
+            onSelectElement={selectFromPanel}
+            onClose={() => setShowLayers(false)}
+          />
+        )}
+
+        {currentTool === "select" && selectedIds.length > 0 && (
+          <div className="selection-toolbar">
+            <span className="selection-count">{selectedIds.length} selected</span>
+            <button onClick={() => reorderSelection("forward")} title="Bring forward (Ctrl+])">
+              ⬆
+            </button>
+            <button onClick={() => reorderSelection("backward")} title="Send backward (Ctrl+[)">
+              ⬇
+            </button>
+            {selectedIds.length > 1 && (
+              <>
+                <span className="selection-divider" />
+                <button onClick={groupSelection} title="Group (Ctrl+G)">
+                  Group
+                </button>
+                <button
+                  onClick={ungroupSelection}
+                  disabled={!selectedElements.some((el) => el.groupId)}
+                  title="Ungroup (Ctrl+Shift+G)"
+                >
+                  Ungroup
+                </button>
+                <span className="selection-divider" />
+                <button onClick={() => alignSelection("left")} title="Align left">
+                  ⇤
+                </button>
+                <button onClick={() => alignSelection("center")} title="Align centers">
+                  ⇹
+                </button>
+                <button onClick={() => alignSelection("top")} title="Align top">
+                  ⤒
+                </button>
+                <button
+                  onClick={() => distributeSelection("horizontal")}
+                  title="Distribute horizontally"
+                >
+                  ⋯
+                </button>
+                <button
+                  onClick={() => distributeSelection("vertical")}
+                  title="Distribute vertically"
+                >
+                  ⋮
+                </button>
+              </>
+            )}
+          </div>
+        )}
+
+        {followedBounds && (
+          <div
+            className="follow-banner"
+            style={{ borderColor: getUserColor(followUserId) }}
+          >
+            Following{" "}
+            {users.find((user) => user.id === followUserId)?.name || "user"}
+            <button onClick={onStopFollowing}>Stop</button>
+          </div>
+        )}
+
         <div className="debug-info">{debugInfo}</div>
 
         {/* Canvas Grid Background */}
-        {showGrid && <div className="canvas-grid" />}
+        {showGrid && (
+          <div
+            className="canvas-grid"
+            style={{
+              backgroundSize: `${gridSize * viewport.scale}px ${gridSize * viewport.scale}px`,
+              backgroundPosition: `${viewport.x}px ${viewport.y}px`,
+            }}
+          />
+        )}
 
         {/* Empty State */}
         {elements.length === 0 && (
@@ -911,19 +2998,33 @@ const Whiteboard = forwardRef(
           </div>
         )}
 
-        <div className="stage-container" ref={stageContainerRef} onDragOver={handleContainerDragOver} onDrop={handleContainerDrop}>
+        <div
+          className={`stage-container ${isSpacePressed ? "panning" : ""}`}
+          ref={stageContainerRef}
+          onDragOver={handleContainerDragOver}
+          onDrop={handleContainerDrop}
+        >
           <Stage
             width={stageSize.width}
             height={stageSize.height}
+            x={viewport.x}
+            y={viewport.y}
+            scaleX={viewport.scale}
+            scaleY={viewport.scale}
+            onWheel={handleWheel}
+            onTouchMove={handleTouchMove}
+            onTouchEnd={handleTouchEnd}
             onMouseDown={handleMouseDown}
             onMouseMove={handleMouseMove}
             onMouseUp={handleMouseUp}
-            onMouseLeave={handleMouseUp}
+            onMouseLeave={handleStageMouseLeave}
             ref={stageRef}
             style={{ backgroundColor: canvasColor }}
           >
-            <Layer>
-              {elements.map((element) => {
+            <Layer onDragMove={handleShapeDragMove} onDragEnd={handleShapeDragEnd}>
+              {visibleElements.map((element) => {
+                // Locked elements stay visible but ignore the pointer
+                const editable = isElementEditable(element, boardLayers);
                 if (
                   element.type === SHAPES.FREEHAND ||
                   element.type === SHAPES.ERASER
@@ -932,7 +3033,8 @@ const Whiteboard = forwardRef(
                     <Line
                       key={element.id}
                       name={element.id.toString()}
-                      draggable={currentTool === "select"}
+                      draggable={canDragShapes && editable}
+                      listening={editable}
                       points={
                         Array.isArray(element.points[0])
                           ? element.points.flat()
@@ -944,14 +3046,13 @@ const Whiteboard = forwardRef(
                         (isErasing ? eraserSize : pencilSize)
                       }
                       tension={0.5}
-                      lineCap="round"
+                      {...getStyleProps(element)}
                       lineJoin="round"
                       globalCompositeOperation={
                         element.type === SHAPES.ERASER
                           ? "destination-out"
                           : "source-over"
                       }
-                      strokeScaleEnabled={false}
                     />
                   );
                 }
@@ -960,7 +3061,8 @@ const Whiteboard = forwardRef(
                     <Line
                       key={element.id}
                       name={element.id.toString()}
-                      draggable={currentTool === "select"}
+                      draggable={canDragShapes && editable}
+                      listening={editable}
                       points={
                         Array.isArray(element.points[0])
                           ? element.points.flat()
@@ -969,9 +3071,37 @@ const Whiteboard = forwardRef(
                       stroke={element.color || selectedColor}
                       strokeWidth={element.strokeWidth || pencilSize}
                       tension={0.5}
-                      lineCap="round"
+                      {...getStyleProps(element)}
+                      lineJoin="round"
+                    />
+                  );
+                }
+                if (isConnector(element)) {
+                  const headSize = getArrowHeadSize(element.strokeWidth);
+                  return (
+                    <Arrow
+                      key={element.id}
+                      name={element.id.toString()}
+                      // Attached connectors move with their shapes
+                      draggable={
+                        canDragShapes && editable && !isAttachedConnector(element, elementIds)
+                      }
+                      listening={editable}
+                      points={element.points}
+                      stroke={element.color || selectedColor}
+                      strokeWidth={element.strokeWidth || pencilSize}
+                      fill={
+                        element.headStyle === "outline"
+                          ? canvasColor
+                          : element.color || selectedColor
+                      }
+                      pointerLength={headSize}
+                      pointerWidth={headSize}
+                      pointerAtBeginning={element.arrowheads === "both"}
+                      pointerAtEnding={element.arrowheads !== "none"}
+                      hitStrokeWidth={Math.max(10, element.strokeWidth || 0)}
+                      {...getStyleProps(element)}
                       lineJoin="round"
-                      strokeScaleEnabled={false}
                     />
                   );
                 }
@@ -979,14 +3109,16 @@ const Whiteboard = forwardRef(
                   return (
                     <Circle
                       name={element.id.toString()}
-                      draggable={currentTool === "select"}
+                      draggable={canDragShapes && editable}
+                      listening={editable}
                       key={element.id}
                       x={element.x}
                       y={element.y}
                       radius={element.radius}
+                      rotation={element.rotation || 0}
                       stroke={element.color || selectedColor}
                       strokeWidth={element.strokeWidth || pencilSize}
-                      strokeScaleEnabled={false}
+                      {...getStyleProps(element)}
                     />
                   );
                 }
@@ -994,15 +3126,17 @@ const Whiteboard = forwardRef(
                   return (
                     <Rect
                       name={element.id.toString()}
-                      draggable={currentTool === "select"}
+                      draggable={canDragShapes && editable}
+                      listening={editable}
                       key={element.id}
                       x={element.x}
                       y={element.y}
                       width={element.width}
                       height={element.height}
+                      rotation={element.rotation || 0}
                       stroke={element.color || selectedColor}
                       strokeWidth={element.strokeWidth || pencilSize}
-                      strokeScaleEnabled={false}
+                      {...getStyleProps(element)}
                     />
                   );
                 }
@@ -1010,15 +3144,17 @@ const Whiteboard = forwardRef(
                   return (
                     <Rect
                       name={element.id.toString()}
-                      draggable={currentTool === "select"}
+                      draggable={canDragShapes && editable}
+                      listening={editable}
                       key={element.id}
                       x={element.x}
                       y={element.y}
                       width={element.side}
                       height={element.side}
+                      rotation={element.rotation || 0}
                       stroke={element.color}
                       strokeWidth={element.strokeWidth}
-                      strokeScaleEnabled={false}
+                      {...getStyleProps(element)}
                     />
                   );
                 }
@@ -1027,7 +3163,8 @@ const Whiteboard = forwardRef(
                     <Line
                       key={element.id}
                       name={element.id.toString()}
-                      draggable={currentTool === "select"}
+                      draggable={canDragShapes && editable}
+                      listening={editable}
                       points={
                         Array.isArray(element.points[0])
                           ? element.points.flat()
@@ -1036,7 +3173,7 @@ const Whiteboard = forwardRef(
                       closed
                       stroke={element.color}
                       strokeWidth={element.strokeWidth}
-                      strokeScaleEnabled={false}
+                      {...getStyleProps(element)}
                     />
                   );
                 }
@@ -1045,7 +3182,8 @@ const Whiteboard = forwardRef(
                     <Line
                       key={element.id}
                       name={element.id.toString()}
-                      draggable={currentTool === "select"}
+                      draggable={canDragShapes && editable}
+                      listening={editable}
                       points={
                         Array.isArray(element.points[0])
                           ? element.points.flat()
@@ -1054,7 +3192,7 @@ const Whiteboard = forwardRef(
                       closed
                       stroke={element.color || selectedColor}
                       strokeWidth={element.strokeWidth || pencilSize}
-                      strokeScaleEnabled={false}
+                      {...getStyleProps(element)}
                     />
                   );
                 }
@@ -1063,7 +3201,8 @@ const Whiteboard = forwardRef(
                     <Line
                       key={element.id}
                       name={element.id.toString()}
-                      draggable={currentTool === "select"}
+                      draggable={canDragShapes && editable}
+                      listening={editable}
                       points={
                         Array.isArray(element.points[0])
                           ? element.points.flat()
@@ -1072,20 +3211,182 @@ const Whiteboard = forwardRef(
                       closed
                       stroke={element.color || selectedColor}
                       strokeWidth={element.strokeWidth || pencilSize}
-                      strokeScaleEnabled={false}
+                      {...getStyleProps(element)}
+                    />
+                  );
+                }
+                if (element.type === SHAPES.IMAGE) {
+                  return (
+                    <BoardImage
+                      key={element.id}
+                      name={element.id.toString()}
+                      draggable={canDragShapes && editable}
+                      listening={editable}
+                      src={element.src}
+                      opacity={element.opacity ?? 1}
+                      x={element.x}
+                      y={element.y}
+                      width={element.width}
+                      height={element.height}
+                      rotation={element.rotation || 0}
+                    />
+                  );
+                }
+                if (element.type === SHAPES.STICKY) {
+                  return (
+                    <StickyNote
+                      key={element.id}
+                      name={element.id.toString()}
+                      draggable={canDragShapes && editable}
+                      listening={editable}
+                      element={element}
+                      opacity={element.opacity ?? 1}
+                      editing={
+                        Boolean(textEditor) && isSameId(textEditor.elementId, element.id)
+                      }
+                      currentUserId={currentUser?.id}
+                      onVote={toggleVote}
+                      onDblClick={() => handleTextDblClick(element)}
+                    />
+                  );
+                }
+                if (element.type === SHAPES.TEXT) {
+                  return (
+                    <Text
+                      key={element.id}
+                      name={element.id.toString()}
+                      draggable={canDragShapes && editable}
+                      listening={editable}
+                      x={element.x}
+                      y={element.y}
+                      text={element.text}
+                      fontSize={element.fontSize || textSize}
+                      fontFamily="Inter, -apple-system, Segoe UI, Roboto, sans-serif"
+                      fill={element.color || selectedColor}
+                      opacity={element.opacity ?? 1}
+                      width={element.width}
+                      rotation={element.rotation || 0}
+                      visible={
+                        !textEditor || !isSameId(textEditor.elementId, element.id)
+                      }
+                      onDblClick={() => handleTextDblClick(element)}
                     />
                   );
                 }
                 return null;
               })}
+              {connectorDraft && (
+                <Arrow
+                  points={connectorDraft.points}
+                  stroke={selectedColor}
+                  strokeWidth={pencilSize}
+                  fill={headStyle === "outline" ? canvasColor : selectedColor}
+                  pointerLength={getArrowHeadSize(pencilSize)}
+                  pointerWidth={getArrowHeadSize(pencilSize)}
+                  pointerAtBeginning={arrowheads === "both"}
+                  pointerAtEnding={arrowheads !== "none"}
+                  lineCap="round"
+                  listening={false}
+                />
+              )}
+              {anchorTargets.flatMap((element) =>
+                getAnchors(element).map((anchor) => (
+                  <Circle
+                    key={`${element.id}-${anchor.id}`}
+                    x={anchor.x}
+                    y={anchor.y}
+                    radius={4 / viewport.scale}
+                    fill="#ffffff"
+                    stroke="#4f46e5"
+                    strokeWidth={1.5 / viewport.scale}
+                    listening={false}
+                  />
+                ))
+              )}
+              {marquee && (
+                <Rect
+                  {...marquee}
+                  fill="rgba(79, 70, 229, 0.08)"
+                  stroke="#4f46e5"
+                  strokeWidth={1 / viewport.scale}
+                  dash={[4 / viewport.scale, 4 / viewport.scale]}
+                  listening={false}
+                />
+              )}
+              {guides.map((guide) => (
+                <Line
+                  key={`${guide.orientation}-${guide.position}`}
+                  points={
+                    guide.orientation === "vertical"
+                      ? [
+                          guide.position,
+                          visibleBounds.y,
+                          guide.position,
+                          visibleBounds.y + visibleBounds.height,
+                        ]
+                      : [
+                          visibleBounds.x,
+                          guide.position,
+                          visibleBounds.x + visibleBounds.width,
+                          guide.position,
+                        ]
+                  }
+                  stroke="#ec4899"
+                  strokeWidth={1 / viewport.scale}
+                  dash={[4 / viewport.scale, 4 / viewport.scale]}
+                  listening={false}
+                />
+              ))}
               <Transformer
                 ref={transformerRef}
-                boundBoxFunc={(oldBox, newBox) =>
-                  newBox.width < 5 || newBox.height < 5 ? oldBox : newBox
-                } // Min size
+                // Edges land on the shape, not its stroke, like the grid snapping
+                ignoreStroke
+                boundBoxFunc={handleTransformBox}
               />
             </Layer>
           </Stage>
+          <RemoteCursors
+            cursors={Object.fromEntries(
+              Object.entries(remoteCursors).map(([userId, point]) => [
+                userId,
+                toScreen(point, viewport),
+              ])
+            )}
+            users={users}
+          />
+          {textEditor && (
+            <textarea
+              className="text-editor"
+              autoFocus
+              value={textEditor.value}
+              onChange={(e) =>
+                setTextEditor({ ...textEditor, value: e.target.value })
+              }
+              onKeyDown={handleTextEditorKeyDown}
+              onBlur={commitTextEditing}
+              placeholder="Type here..."
+              style={{
+                left: toScreen(textEditor, viewport).x,
+                top: toScreen(textEditor, viewport).y,
+                fontSize: textEditor.fontSize * viewport.scale,
+                color: textEditor.color,
+                // Sticky notes edit inside their fixed text box
+                width: textEditor.width && textEditor.width * viewport.scale,
+                height: textEditor.height && textEditor.height * viewport.scale,
+                lineHeight: textEditor.lineHeight,
+              }}
+            />
+          )}
+          {focusMarker && (
+            <div
+              key={focusMarker.key}
+              className="focus-marker"
+              style={{
+                left: toScreen(focusMarker, viewport).x,
+                top: toScreen(focusMarker, viewport).y,
+              }}
+            />
+          )}
         </div>
 
         <style jsx>{`
@@ -1114,6 +3415,11 @@ const Whiteboard = forwardRef(
             left: 0;
             right: 0;
             bottom: 0;
+            overflow: hidden;
+            touch-action: none;
+          }
+          .stage-container.panning {
+            cursor: grab;
           }
 
           .drawing-tools {
@@ -1220,10 +3526,47 @@ const Whiteboard = forwardRef(
             border-color: #ef4444;
           }
 
+          .eraser-modes,
+          .arrow-options {
+            display: flex;
+            gap: 6px;
+            margin-top: 10px;
+          }
+          .eraser-mode-btn,
+          .arrow-option-btn {
+            flex: 1;
+            padding: 6px 8px;
+            font-size: 12px;
+            border: 1px solid var(--panel-border);
+            border-radius: 8px;
+            background: #ffffff;
+            cursor: pointer;
+            transition: border-color 140ms ease, background 140ms ease;
+          }
+          .eraser-mode-btn:hover,
+          .arrow-option-btn:hover {
+            border-color: var(--primary-500);
+          }
+          .eraser-mode-btn.active,
+          .arrow-option-btn.active {
+            border-color: var(--primary);
+            background: #eef2ff;
+            color: var(--primary);
+          }
+
           .size-controls label {
             font-size: 12px;
             color: var(--muted);
           }
+          .snap-option {
+            display: flex;
+            align-items: center;
+            gap: 6px;
+            cursor: pointer;
+          }
+          .snap-option input {
+            accent-color: var(--primary);
+          }
           .size-slider {
             accent-color: var(--primary);
             transition: filter 140ms ease;
@@ -1345,10 +3688,178 @@ const Whiteboard = forwardRef(
             border-color: var(--primary-500);
             box-shadow: 0 6px 16px rgba(2, 6, 23, 0.08);
           }
+          .canvas-btn:disabled {
+            opacity: 0.45;
+            cursor: not-allowed;
+            transform: none;
+          }
           .canvas-btn.danger:hover {
             border-color: #ef4444;
             box-shadow: 0 8px 18px rgba(239,68,68,0.15);
           }
+          .canvas-btn.active {
+            border-color: var(--primary);
+          }
+
+          .export-wrapper {
+            position: relative;
+          }
+          .export-menu {
+            position: absolute;
+            top: 0;
+            right: calc(100% + 8px);
+            width: 180px;
+            padding: 12px;
+            background: var(--panel-bg);
+            border: 1px solid var(--panel-border);
+            border-radius: 10px;
+            box-shadow: var(--panel-shadow);
+            z-index: 20;
+          }
+          .export-menu-title {
+            font-size: 12px;
+            color: var(--muted);
+            margin-bottom: 6px;
+            text-transform: uppercase;
+            letter-spacing: 0.06em;
+          }
+          .export-scope {
+            display: flex;
+            align-items: center;
+            gap: 6px;
+            font-size: 13px;
+            padding: 3px 0;
+          }
+          .export-formats {
+            display: flex;
+            gap: 6px;
+            margin-top: 10px;
+          }
+          .export-format-btn {
+            flex: 1;
+            padding: 6px 0;
+            font-size: 12px;
+            font-weight: 600;
+            border: 1px solid var(--panel-border);
+            border-radius: 8px;
+            background: #ffffff;
+            cursor: pointer;
+          }
+          .export-format-btn:hover {
+            border-color: var(--primary-500);
+            color: var(--primary);
+          }
+
+          .zoom-controls {
+            position: absolute;
+            right: 12px;
+            bottom: 12px;
+            display: flex;
+            align-items: center;
+            gap: 6px;
+            z-index: 10;
+          }
+          .zoom-level {
+            min-width: 58px;
+            padding: 10px 8px;
+            font-size: 12px;
+            font-weight: 600;
+            border: 1px solid var(--panel-border);
+            border-radius: 10px;
+            background: #ffffff;
+            cursor: pointer;
+          }
+          .zoom-level:hover {
+            border-color: var(--primary-500);
+          }
+
+          .minimap {
+            position: absolute;
+            right: 12px;
+            bottom: 68px;
+            background: rgba(255, 255, 255, 0.95);
+            border: 1px solid var(--panel-border);
+            border-radius: 10px;
+            box-shadow: var(--panel-shadow);
+            overflow: hidden;
+            cursor: crosshair;
+            z-index: 10;
+          }
+          .minimap svg {
+            display: block;
+          }
+          .minimap-own-view {
+            stroke: var(--primary);
+          }
+
+          .selection-toolbar {
+            position: absolute;
+            left: 50%;
+            bottom: 12px;
+            transform: translateX(-50%);
+            display: flex;
+            align-items: center;
+            gap: 6px;
+            padding: 6px 8px;
+            background: #ffffff;
+            border: 1px solid var(--panel-border);
+            border-radius: 12px;
+            box-shadow: var(--panel-shadow);
+            z-index: 10;
+          }
+          .selection-toolbar button {
+            min-width: 32px;
+            padding: 6px 8px;
+            font-size: 13px;
+            border: 1px solid var(--panel-border);
+            border-radius: 8px;
+            background: #ffffff;
+            cursor: pointer;
+          }
+          .selection-toolbar button:hover:not(:disabled) {
+            border-color: var(--primary-500);
+            color: var(--primary);
+          }
+          .selection-toolbar button:disabled {
+            opacity: 0.45;
+            cursor: not-allowed;
+          }
+          .selection-count {
+            font-size: 12px;
+            color: var(--muted);
+            padding: 0 4px;
+          }
+          .selection-divider {
+            width: 1px;
+            height: 20px;
+            background: var(--panel-border);
+          }
+
+          .follow-banner {
+            position: absolute;
+            top: 12px;
+            left: 50%;
+            transform: translateX(-50%);
+            display: flex;
+            align-items: center;
+            gap: 10px;
+            padding: 6px 8px 6px 14px;
+            font-size: 13px;
+            font-weight: 600;
+            background: #ffffff;
+            border: 2px solid var(--primary);
+            border-radius: 999px;
+            box-shadow: var(--panel-shadow);
+            z-index: 10;
+          }
+          .follow-banner button {
+            padding: 4px 10px;
+            font-size: 12px;
+            border: 1px solid var(--panel-border);
+            border-radius: 999px;
+            background: #f8fafc;
+            cursor: pointer;
+          }
 
           .debug-info {
             position: absolute;
@@ -1374,6 +3885,37 @@ const Whiteboard = forwardRef(
             to { opacity: 1; }
           }
 
+          .text-editor {
+            position: absolute;
+            min-width: 120px;
+            min-height: 1.4em;
+            padding: 0;
+            margin: 0;
+            border: 1px dashed var(--primary-500);
+            background: transparent;
+            outline: none;
+            resize: none;
+            overflow: hidden;
+            line-height: 1;
+            font-family: Inter, -apple-system, Segoe UI, Roboto, sans-serif;
+            z-index: 6;
+          }
+
+          .focus-marker {
+            position: absolute;
+            width: 36px;
+            height: 36px;
+            margin: -18px 0 0 -18px;
+            border-radius: 50%;
+            border: 3px solid var(--primary);
+            pointer-events: none;
+            animation: focus-pulse 800ms ease-out 3;
+          }
+          @keyframes focus-pulse {
+            from { transform: scale(0.4); opacity: 1; }
+            to { transform: scale(1.6); opacity: 0; }
+          }
+
           .canvas-empty-state {
             position: absolute;
             top: 50%;
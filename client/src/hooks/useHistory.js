@@ -0,0 +1,181 @@
+import { useState, useRef, useCallback, useEffect } from 'react';
+import { EVENTS } from '../utils/constants';
+import {
+  isSameId,
+  restoreElements,
+  removeElements,
+  toEntries,
+  applyUpdates
+} from '../utils/elements';
+
+/*
+ * Per-user undo/redo. Only operations recorded by this client end up in the
+ * stacks, so undo never reverts what other people drew. Operations:
+ *   { type: 'add',    entries: [{ element, index }] }
+ *   { type: 'delete', entries: [{ element, index }] }
+ *   { type: 'clear',  entries: [{ element, index }] }
+ *   { type: 'update', elementId, before, after }
+ *   { type: 'updates', changes: [{ elementId, before, after }] }  (one sync message)
+ *   { type: 'reorder', moves: [{ elementId, from, to }] }         (z-order indices)
+ *   { type: 'layers', before, after }       (the room's whole layer list)
+ *   { type: 'batch',  operations: [...] }   (applied in order, undone as one)
+ */
+export default function useHistory(socket, roomId, elements, setElements, setLayers) {
+  const undoStack = useRef([]);
+  const redoStack = useRef([]);
+  const elementsRef = useRef(elements);
+  const [sizes, setSizes] = useState({ undo: 0, redo: 0 });
+
+  useEffect(() => {
+    elementsRef.current = elements;
+  }, [elements]);
+
+  // History belongs to one board; start fresh when switching rooms
+  useEffect(() => {
+    undoStack.current = [];
+    redoStack.current = [];
+    setSizes({ undo: 0, redo: 0 });
+  }, [roomId]);
+
+  const syncSizes = useCallback(() => {
+    setSizes({ undo: undoStack.current.length, redo: redoStack.current.length });
+  }, []);
+
+  // Build the operation that reverts `operation` against the current board
+  const invert = useCallback(function invertOperation(operation) {
+    const current = elementsRef.current;
+    switch (operation.type) {
+      case 'add':
+        // Re-snapshot so an undone shape keeps edits made after it was drawn
+        return {
+          type: 'delete',
+          entries: toEntries(current, operation.entries.map(e => e.element.id))
+        };
+      case 'delete':
+      case 'clear':
+        return { type: 'add', entries: operation.entries };
+      case 'update':
+        return {
+          type: 'update',
+          elementId: operation.elementId,
+          before: operation.after,
+          after: operation.before
+        };
+      case 'updates':
+        return {
+          type: 'updates',
+          changes: operation.changes.map(change => ({
+            elementId: change.elementId,
+            before: change.after,
+            after: change.before
+          }))
+        };
+      case 'reorder':
+        return {
+          type: 'reorder',
+          moves: operation.moves.map(({ elementId, from, to }) => ({
+            elementId,
+            from: to,
+            to: from
+          }))
+        };
+      case 'layers':
+        return { type: 'layers', before: operation.after, after: operation.before };
+      case 'batch':
+        return {
+          type: 'batch',
+          operations: operation.operations.map(invertOperation).reverse()
+        };
+      default:
+        return null;
+    }
+  }, []);
+
+  // Apply an operation locally and mirror it to the room
+  const apply = useCallback(function applyOperation(operation) {
+    switch (operation.type) {
+      case 'add':
+        setElements(prev => restoreElements(prev, operation.entries));
+        socket.emit(EVENTS.ELEMENTS_ADD, { roomId, entries: operation.entries });
+        break;
+      case 'delete':
+      case 'clear': {
+        const elementIds = operation.entries.map(e => e.element.id);
+        setElements(prev => removeElements(prev, elementIds));
+        socket.emit(EVENTS.ELEMENTS_DELETE, { roomId, elementIds });
+        break;
+      }
+      case 'update':
+        setElements(prev =>
+          prev.map(el =>
+            isSameId(el.id, operation.elementId) ? { ...el, ...operation.after } : el
+          )
+        );
+        socket.emit(EVENTS.SHAPE_UPDATE, {
+          roomId,
+          elementId: operation.elementId,
+          updatedAttrs: operation.after
+        });
+        break;
+      case 'updates': {
+        const updates = operation.changes.map(change => ({
+          elementId: change.elementId,
+          updatedAttrs: change.after
+        }));
+        setElements(prev => applyUpdates(prev, updates));
+        socket.emit(EVENTS.ELEMENTS_UPDATE, { roomId, updates });
+        break;
+      }
+      case 'reorder': {
+        // Re-adding existing elements at new indices moves them in place
+        const entries = operation.moves
+          .map(({ elementId, to }) => ({
+            element: elementsRef.current.find(el => isSameId(el.id, elementId)),
+            index: to
+          }))
+          .filter(entry => entry.element);
+        setElements(prev => restoreElements(prev, entries));
+        socket.emit(EVENTS.ELEMENTS_ADD, { roomId, entries });
+        break;
+      }
+      case 'layers':
+        setLayers(operation.after);
+        socket.emit(EVENTS.LAYERS_UPDATE, { roomId, layers: operation.after });
+        break;
+      case 'batch':
+        operation.operations.forEach(applyOperation);
+        break;
+      default:
+        break;
+    }
+  }, [socket, roomId, setElements, setLayers]);
+
+  const record = useCallback((operation) => {
+    undoStack.current.push(operation);
+    redoStack.current = [];
+    syncSizes();
+  }, [syncSizes]);
+
+  const step = useCallback((from, to) => {
+    const operation = from.current.pop();
+    if (!operation) return null;
+    const inverse = invert(operation);
+    if (inverse) {
+      apply(inverse);
+      to.current.push(inverse);
+    }
+    syncSizes();
+    return operation;
+  }, [invert, apply, syncSizes]);
+
+  const undo = useCallback(() => step(undoStack, redoStack), [step]);
+  const redo = useCallback(() => step(redoStack, undoStack), [step]);
+
+  return {
+    record,
+    undo,
+    redo,
+    canUndo: sizes.undo > 0,
+    canRedo: sizes.redo > 0
+  };
+}
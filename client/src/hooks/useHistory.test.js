@@ -0,0 +1,174 @@
+import React, { act, useState } from 'react';
+import { createRoot } from 'react-dom/client';
+import useHistory from './useHistory';
+import { EVENTS } from '../utils/constants';
+
+global.IS_REACT_ACT_ENVIRONMENT = true;
+
+const line = (id, x = 0) => ({ id, type: 'line', points: [x, 0, x + 10, 10] });
+const a = line('a');
+const b = line('b', 20);
+const c = line('c', 40);
+
+// Runs the hook over real element and layer state, with a socket that
+// records what it emits
+const setup = (initialElements) => {
+  const h = { emitted: [] };
+  const socket = { emit: (event, data) => h.emitted.push({ event, data }) };
+
+  function Harness({ roomId }) {
+    const [elements, setElements] = useState(initialElements);
+    const [layers, setLayers] = useState([]);
+    Object.assign(h, { elements, layers, setElements, setLayers });
+    h.history = useHistory(socket, roomId, elements, setElements, setLayers);
+    return null;
+  }
+
+  const root = createRoot(document.createElement('div'));
+  act(() => root.render(<Harness roomId="room" />));
+  h.switchRoom = (roomId) => act(() => root.render(<Harness roomId={roomId} />));
+  h.run = (fn) => act(() => {
+    fn();
+  });
+  h.ids = () => h.elements.map(el => el.id);
+  h.lastEmit = () => h.emitted[h.emitted.length - 1];
+  h.unmount = () => act(() => root.unmount());
+  return h;
+};
+
+let h;
+afterEach(() => h.unmount());
+
+describe('useHistory', () => {
+  it('undoes an add by deleting what is on the board now, and redoes it', () => {
+    h = setup([a]);
+    h.run(() => h.setElements([a, b]));
+    h.run(() => h.history.record({ type: 'add', entries: [{ element: b, index: 1 }] }));
+    // Someone moves the new shape before it is undone
+    const moved = line('b', 99);
+    h.run(() => h.setElements([a, moved]));
+
+    h.run(() => h.history.undo());
+    expect(h.ids()).toEqual(['a']);
+    expect(h.lastEmit()).toEqual({
+      event: EVENTS.ELEMENTS_DELETE,
+      data: { roomId: 'room', elementIds: ['b'] },
+    });
+
+    h.run(() => h.history.redo());
+    expect(h.elements).toEqual([a, moved]);
+    expect(h.lastEmit()).toEqual({
+      event: EVENTS.ELEMENTS_ADD,
+      data: { roomId: 'room', entries: [{ element: moved, index: 1 }] },
+    });
+  });
+
+  it('puts deleted and cleared elements back at their positions', () => {
+    h = setup([a, b, c]);
+    h.run(() => h.setElements([a, c]));
+    h.run(() => h.history.record({ type: 'delete', entries: [{ element: b, index: 1 }] }));
+    h.run(() => h.history.undo());
+    expect(h.ids()).toEqual(['a', 'b', 'c']);
+
+    h.run(() => h.setElements([b]));
+    h.run(() =>
+      h.history.record({
+        type: 'clear',
+        entries: [{ element: a, index: 0 }, { element: c, index: 2 }],
+      })
+    );
+    h.run(() => h.history.undo());
+    expect(h.ids()).toEqual(['a', 'b', 'c']);
+    h.run(() => h.history.redo());
+    expect(h.ids()).toEqual(['b']);
+    expect(h.lastEmit().data.elementIds).toEqual(['a', 'c']);
+  });
+
+  it('swaps before and after of single and grouped updates', () => {
+    h = setup([a, b]);
+    h.run(() => h.history.record({
+      type: 'update',
+      elementId: 'a',
+      before: { color: 'black' },
+      after: { color: 'red' },
+    }));
+    h.run(() => h.history.undo());
+    expect(h.elements[0].color).toBe('black');
+    expect(h.lastEmit()).toEqual({
+      event: EVENTS.SHAPE_UPDATE,
+      data: { roomId: 'room', elementId: 'a', updatedAttrs: { color: 'black' } },
+    });
+
+    h.run(() => h.history.record({
+      type: 'updates',
+      changes: [
+        { elementId: 'a', before: { x: 1 }, after: { x: 2 } },
+        { elementId: 'b', before: { x: 3 }, after: { x: 4 } },
+      ],
+    }));
+    h.run(() => h.history.undo());
+    expect(h.elements.map(el => el.x)).toEqual([1, 3]);
+    expect(h.lastEmit()).toEqual({
+      event: EVENTS.ELEMENTS_UPDATE,
+      data: {
+        roomId: 'room',
+        updates: [
+          { elementId: 'a', updatedAttrs: { x: 1 } },
+          { elementId: 'b', updatedAttrs: { x: 3 } },
+        ],
+      },
+    });
+  });
+
+  it('moves reordered elements back to their old index', () => {
+    h = setup([b, c, a]);
+    h.run(() => h.history.record({ type: 'reorder', moves: [{ elementId: 'a', from: 0, to: 2 }] }));
+    h.run(() => h.history.undo());
+    expect(h.ids()).toEqual(['a', 'b', 'c']);
+    expect(h.lastEmit().data.entries).toEqual([{ element: a, index: 0 }]);
+  });
+
+  it('restores the layer list and undoes a batch in reverse order', () => {
+    const layer = { id: 'l1', name: 'Layer 1', visible: true, locked: false };
+    h = setup([]);
+    h.run(() => {
+      h.setLayers([layer]);
+      h.setElements([a]);
+    });
+    h.run(() => h.history.record({
+      type: 'batch',
+      operations: [
+        { type: 'layers', before: [], after: [layer] },
+        { type: 'add', entries: [{ element: a, index: 0 }] },
+      ],
+    }));
+
+    h.run(() => h.history.undo());
+    expect(h.elements).toEqual([]);
+    expect(h.layers).toEqual([]);
+    expect(h.emitted.map(e => e.event)).toEqual([EVENTS.ELEMENTS_DELETE, EVENTS.LAYERS_UPDATE]);
+
+    h.run(() => h.history.redo());
+    expect(h.elements).toEqual([a]);
+    expect(h.layers).toEqual([layer]);
+    expect(h.lastEmit()).toEqual({
+      event: EVENTS.ELEMENTS_ADD,
+      data: { roomId: 'room', entries: [{ element: a, index: 0 }] },
+    });
+  });
+
+  it('drops the redo stack on new operations and the history on room switches', () => {
+    h = setup([a]);
+    expect(h.history.undo()).toBeNull();
+    h.run(() => h.history.record({ type: 'delete', entries: [{ element: a, index: 0 }] }));
+    h.run(() => h.history.undo());
+    expect(h.history.canRedo).toBe(true);
+
+    h.run(() => h.history.record({ type: 'add', entries: [{ element: b, index: 1 }] }));
+    expect(h.history.canRedo).toBe(false);
+    expect(h.history.canUndo).toBe(true);
+
+    h.switchRoom('other');
+    expect(h.history.canUndo).toBe(false);
+  });
+});
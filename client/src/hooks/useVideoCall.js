@@ -0,0 +1,231 @@
+import { useState, useRef, useCallback, useEffect } from 'react';
+import { EVENTS } from '../utils/constants';
+
+// No STUN/TURN by default so calls work against a local server on the same
+// machine or network. Set REACT_APP_ICE_SERVERS to a JSON array to add some.
+const getIceServers = () => {
+  try {
+    return JSON.parse(process.env.REACT_APP_ICE_SERVERS || '[]');
+  } catch (err) {
+    console.error('Invalid REACT_APP_ICE_SERVERS', err);
+    return [];
+  }
+};
+
+/*
+ * Mesh WebRTC call over the room's Socket.IO connection. Whoever joins sends
+ * an offer to every participant already in the call, so offers never cross.
+ * The call is hung up once active turns false, i.e. when leaving the room.
+ */
+export default function useVideoCall(socket, roomId, active = true) {
+  const [localStream, setLocalStream] = useState(null);
+  const [remoteStreams, setRemoteStreams] = useState({}); // userId -> MediaStream
+  const [mediaStates, setMediaStates] = useState({}); // userId -> { audio, video }
+  const [audioEnabled, setAudioEnabled] = useState(true);
+  const [videoEnabled, setVideoEnabled] = useState(true);
+  const [error, setError] = useState(null);
+  const peersRef = useRef(new Map()); // userId -> { pc, pendingCandidates }
+  const localStreamRef = useRef(null);
+  const roomIdRef = useRef(roomId);
+  // Latest mute/camera state, for participants who join after it changed
+  const mediaStateRef = useRef({ audio: true, video: true });
+
+  const closePeer = useCallback((userId) => {
+    const peer = peersRef.current.get(userId);
+    if (peer) {
+      peer.pc.close();
+      peersRef.current.delete(userId);
+    }
+    setRemoteStreams(prev => {
+      const next = { ...prev };
+      delete next[userId];
+      return next;
+    });
+  }, []);
+
+  const sendSignal = useCallback((to, signal) => {
+    socket.emit(EVENTS.CALL_SIGNAL, { roomId: roomIdRef.current, to, signal });
+  }, [socket]);
+
+  const createPeer = useCallback((userId) => {
+    const pc = new RTCPeerConnection({ iceServers: getIceServers() });
+    const peer = { pc, pendingCandidates: [] };
+    peersRef.current.set(userId, peer);
+
+    const stream = localStreamRef.current;
+    if (stream) {
+      stream.getTracks().forEach(track => pc.addTrack(track, stream));
+    }
+
+    pc.onicecandidate = (e) => {
+      if (e.candidate) {
+        sendSignal(userId, { type: 'candidate', candidate: e.candidate });
+      }
+    };
+    pc.ontrack = (e) => {
+      setRemoteStreams(prev => ({ ...prev, [userId]: e.streams[0] }));
+    };
+    pc.onconnectionstatechange = () => {
+      if (pc.connectionState === 'failed' || pc.connectionState === 'closed') {
+        closePeer(userId);
+      }
+    };
+    return peer;
+  }, [sendSignal, closePeer]);
+
+  // Candidates can arrive before the remote description is set
+  const flushCandidates = async (peer) => {
+    const candidates = peer.pendingCandidates;
+    peer.pendingCandidates = [];
+    for (const candidate of candidates) {
+      await peer.pc.addIceCandidate(candidate);
+    }
+  };
+
+  const leaveCall = useCallback(() => {
+    if (!localStreamRef.current) return;
+    socket.emit(EVENTS.CALL_LEAVE, { roomId: roomIdRef.current });
+    [...peersRef.current.keys()].forEach(closePeer);
+    localStreamRef.current.getTracks().forEach(track => track.stop());
+    localStreamRef.current = null;
+    setLocalStream(null);
+    setRemoteStreams({});
+    setMediaStates({});
+  }, [socket, closePeer]);
+
+  const joinCall = useCallback(async () => {
+    if (localStreamRef.current) return;
+    try {
+      const stream = await navigator.mediaDevices.getUserMedia({ audio: true, video: true });
+      localStreamRef.current = stream;
+      setLocalStream(stream);
+      setAudioEnabled(true);
+      setVideoEnabled(true);
+      mediaStateRef.current = { audio: true, video: true };
+      setError(null);
+      socket.emit(EVENTS.CALL_JOIN, { roomId: roomIdRef.current });
+    } catch (err) {
+      console.error('Could not access camera/microphone', err);
+      setError('Camera or microphone unavailable');
+    }
+  }, [socket]);
+
+  const broadcastMediaState = useCallback((audio, video) => {
+    mediaStateRef.current = { audio, video };
+    socket.emit(EVENTS.CALL_MEDIA_STATE, { roomId: roomIdRef.current, audio, video });
+  }, [socket]);
+
+  const toggleAudio = () => {
+    const enabled = !audioEnabled;
+    localStreamRef.current?.getAudioTracks().forEach(track => {
+      track.enabled = enabled;
+    });
+    setAudioEnabled(enabled);
+    broadcastMediaState(enabled, videoEnabled);
+  };
+
+  const toggleVideo = () => {
+    const enabled = !videoEnabled;
+    localStreamRef.current?.getVideoTracks().forEach(track => {
+      track.enabled = enabled;
+    });
+    setVideoEnabled(enabled);
+    broadcastMediaState(audioEnabled, enabled);
+  };
+
+  useEffect(() => {
+    if (!socket) return;
+
+    const handleParticipants = async ({ participants }) => {
+      for (const userId of participants) {
+        try {
+          const { pc } = createPeer(userId);
+          const offer = await pc.createOffer();
+          await pc.setLocalDescription(offer);
+          sendSignal(userId, { type: 'offer', sdp: pc.localDescription });
+        } catch (err) {
+          console.error(`Failed to call ${userId}`, err);
+        }
+      }
+    };
+
+    const handleSignal = async ({ from, signal }) => {
+      // Ignore signaling while we are not in the call ourselves
+      if (!localStreamRef.current) return;
+      try {
+        let peer = peersRef.current.get(from);
+        if (signal.type === 'offer') {
+          if (!peer) peer = createPeer(from);
+          await peer.pc.setRemoteDescription(signal.sdp);
+          await flushCandidates(peer);
+          const answer = await peer.pc.createAnswer();
+          await peer.pc.setLocalDescription(answer);
+          sendSignal(from, { type: 'answer', sdp: peer.pc.localDescription });
+          // Offers come from people joining the call, who haven't seen
+          // whether we muted or turned the camera off before they came
+          const { audio, video } = mediaStateRef.current;
+          if (!audio || !video) broadcastMediaState(audio, video);
+        } else if (signal.type === 'answer' && peer) {
+          await peer.pc.setRemoteDescription(signal.sdp);
+          await flushCandidates(peer);
+        } else if (signal.type === 'candidate' && peer) {
+          if (peer.pc.remoteDescription) {
+            await peer.pc.addIceCandidate(signal.candidate);
+          } else {
+            peer.pendingCandidates.push(signal.candidate);
+          }
+        }
+      } catch (err) {
+        console.error(`Signaling with ${from} failed`, err);
+      }
+    };
+
+    const handlePeerLeft = ({ userId }) => {
+      closePeer(userId);
+      setMediaStates(prev => {
+        const next = { ...prev };
+        delete next[userId];
+        return next;
+      });
+    };
+
+    const handleMediaState = ({ userId, audio, video }) => {
+      setMediaStates(prev => ({ ...prev, [userId]: { audio, video } }));
+    };
+
+    socket.on(EVENTS.CALL_PARTICIPANTS, handleParticipants);
+    socket.on(EVENTS.CALL_SIGNAL, handleSignal);
+    socket.on(EVENTS.CALL_LEAVE, handlePeerLeft);
+    socket.on(EVENTS.USER_LEFT, handlePeerLeft);
+    socket.on(EVENTS.CALL_MEDIA_STATE, handleMediaState);
+
+    return () => {
+      socket.off(EVENTS.CALL_PARTICIPANTS, handleParticipants);
+      socket.off(EVENTS.CALL_SIGNAL, handleSignal);
+      socket.off(EVENTS.CALL_LEAVE, handlePeerLeft);
+      socket.off(EVENTS.USER_LEFT, handlePeerLeft);
+      socket.off(EVENTS.CALL_MEDIA_STATE, handleMediaState);
+    };
+  }, [socket, createPeer, sendSignal, closePeer, broadcastMediaState]);
+
+  // Hang up when switching rooms, leaving the room or unmounting
+  useEffect(() => {
+    roomIdRef.current = roomId;
+    if (!active) return;
+    return () => leaveCall();
+  }, [roomId, active, leaveCall]);
+
+  return {
+    inCall: Boolean(localStream),
+    localStream,
+    remoteStreams,
+    mediaStates,
+    audioEnabled,
+    videoEnabled,
+    error,
+    joinCall,
+    leaveCall,
+    toggleAudio,
+    toggleVideo
+  };
+}
@@ -0,0 +1,38 @@
+// REST endpoints live on the same server as the socket connection
+const SERVER_URL = process.env.REACT_APP_SOCKET_URL || 'http://localhost:3001';
+const API_URL = `${SERVER_URL}/api`;
+
+const request = async (path, options = {}) => {
+  const response = await fetch(`${API_URL}${path}`, {
+    ...options,
+    headers: { 'Content-Type': 'application/json', ...options.headers }
+  });
+  const data = await response.json().catch(() => ({}));
+  if (!response.ok) {
+    throw new Error(data.error || `Request failed (${response.status})`);
+  }
+  return data;
+};
+
+// Replace a room's elements with a board document; resolves to the migrated board
+export const loadBoardIntoRoom = async (roomId, board) => {
+  const { board: loaded } = await request(`/rooms/${encodeURIComponent(roomId)}/board`, {
+    method: 'PUT',
+    body: JSON.stringify(board)
+  });
+  return loaded;
+};
+
+// Store a picture with the room; resolves to the URL image elements keep
+export const uploadImage = async (roomId, blob) => {
+  const { url } = await request(`/rooms/${encodeURIComponent(roomId)}/images`, {
+    method: 'POST',
+    headers: { 'Content-Type': blob.type },
+    body: blob
+  });
+  return url;
+};
+
+// Uploaded images are stored as server paths; data URLs pass through
+export const resolveAssetUrl = (src) =>
+  src && src.startsWith('/') ? `${SERVER_URL}${src}` : src;
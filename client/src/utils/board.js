@@ -0,0 +1,22 @@
+// Whole-board JSON documents; the server migrates older versions on open
+export const BOARD_FORMAT = 'sketchsphere-board';
+export const BOARD_SCHEMA_VERSION = 2;
+export const BOARD_FILE_EXTENSION = '.sketchsphere.json';
+
+export const createBoardDocument = ({ elements, canvasColor, grid, layers }) => ({
+  format: BOARD_FORMAT,
+  version: BOARD_SCHEMA_VERSION,
+  savedAt: new Date().toISOString(),
+  canvas: { color: canvasColor },
+  grid: { visible: grid.visible, size: grid.size },
+  layers,
+  elements
+});
+
+export const readBoardFile = async (file) => {
+  try {
+    return JSON.parse(await file.text());
+  } catch (err) {
+    throw new Error(`${file.name} is not valid JSON`);
+  }
+};
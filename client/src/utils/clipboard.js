@@ -0,0 +1,22 @@
+// Clipboard payloads for copying elements between boards, also across tabs
+
+// Custom type for browsers that keep it; the same JSON also goes out as
+// text/plain so pasting works everywhere else
+export const CLIPBOARD_MIME = "application/x-sketchsphere+json";
+const CLIPBOARD_FORMAT = "sketchsphere/clipboard";
+
+export const serializeClipboard = (elements) =>
+  JSON.stringify({ format: CLIPBOARD_FORMAT, version: 1, elements });
+
+// Elements from a clipboard payload, or null when it holds something else
+export const parseClipboard = (text) => {
+  if (!text) return null;
+  try {
+    const data = JSON.parse(text);
+    return data && data.format === CLIPBOARD_FORMAT && Array.isArray(data.elements)
+      ? data.elements
+      : null;
+  } catch (_) {
+    return null;
+  }
+};
@@ -0,0 +1,161 @@
+// Arrows and connectors whose ends can stay attached to other shapes
+import { SHAPES } from "./constants";
+import {
+  isSameId,
+  applyUpdates,
+  toPointPairs,
+  estimateTextSize,
+  rotatePoint,
+} from "./elements";
+
+const BOX_TYPES = [SHAPES.RECTANGLE, "square", SHAPES.TEXT, SHAPES.IMAGE, SHAPES.STICKY];
+const POLYGON_TYPES = [SHAPES.TRIANGLE, SHAPES.HEXAGON, SHAPES.PENTAGON];
+
+export const ARROWHEADS = ["end", "both", "none"];
+export const HEAD_STYLES = ["filled", "outline"];
+
+export const isConnector = (element) => element.type === SHAPES.ARROW;
+
+// Connectors with an attached end move with their shapes, not on their own.
+// Ends whose shape is gone (elementIds holds the ids on the board) no longer
+// count, so a connector left behind by a deleted shape can be moved again
+export const isAttachedConnector = (element, elementIds) =>
+  isConnector(element) &&
+  [element.start, element.end].some(
+    (end) => end && elementIds.has(String(end.elementId))
+  );
+
+// Arrowhead length and width grow with the stroke so thick arrows stay readable
+export const getArrowHeadSize = (strokeWidth = 2) => 6 + strokeWidth * 2;
+
+// Points a connector end can attach to, as [{ id, x, y }] in board coordinates.
+// Boxes offer their edge midpoints, circles the four compass points and
+// polygons their corners. Strokes, lines and connectors have none
+export const getAnchors = (element) => {
+  if (element.type === SHAPES.CIRCLE) {
+    const r = element.radius || 0;
+    return [
+      { id: "top", x: element.x, y: element.y - r },
+      { id: "right", x: element.x + r, y: element.y },
+      { id: "bottom", x: element.x, y: element.y + r },
+      { id: "left", x: element.x - r, y: element.y },
+    ];
+  }
+  if (BOX_TYPES.includes(element.type)) {
+    let { width = 0, height = 0 } = element;
+    if (element.type === "square") {
+      width = element.side;
+      height = element.side;
+    } else if (element.type === SHAPES.TEXT) {
+      ({ width, height } = estimateTextSize(element));
+    }
+    const origin = [element.x, element.y];
+    return [
+      ["top", width / 2, 0],
+      ["right", width, height / 2],
+      ["bottom", width / 2, height],
+      ["left", 0, height / 2],
+    ].map(([id, dx, dy]) => {
+      const [x, y] = rotatePoint(
+        [element.x + dx, element.y + dy],
+        origin,
+        element.rotation || 0
+      );
+      return { id, x, y };
+    });
+  }
+  if (POLYGON_TYPES.includes(element.type) && element.points) {
+    return toPointPairs(element.points).map(([x, y], i) => ({ id: `v${i}`, x, y }));
+  }
+  return [];
+};
+
+export const getAnchorPoint = (element, anchorId) =>
+  getAnchors(element).find((anchor) => anchor.id === anchorId) || null;
+
+// Closest anchor within maxDistance of the point, as
+// { elementId, anchor, x, y }, or null when nothing is close enough
+export const findNearestAnchor = (elements, point, maxDistance, excludeId = null) => {
+  let nearest = null;
+  let best = maxDistance;
+  elements.forEach((element) => {
+    if (excludeId !== null && isSameId(element.id, excludeId)) return;
+    getAnchors(element).forEach((anchor) => {
+      const distance = Math.hypot(anchor.x - point.x, anchor.y - point.y);
+      if (distance <= best) {
+        best = distance;
+        nearest = {
+          elementId: String(element.id),
+          anchor: anchor.id,
+          x: anchor.x,
+          y: anchor.y,
+        };
+      }
+    });
+  });
+  return nearest;
+};
+
+// Points of a connector with its attached ends moved onto their anchors, or
+// null when they are already there. Ends whose shape is gone stay where they are
+export const routeConnector = (connector, elementsById) => {
+  const points = [...connector.points];
+  [connector.start, connector.end].forEach((end, i) => {
+    if (!end) return;
+    const target = elementsById.get(String(end.elementId));
+    const anchor = target && getAnchorPoint(target, end.anchor);
+    if (!anchor) return;
+    points[i * 2] = anchor.x;
+    points[i * 2 + 1] = anchor.y;
+  });
+  return points.every((value, i) => value === connector.points[i]) ? null : points;
+};
+
+// The given updates plus whatever moves the connectors attached to the
+// updated elements, so one message keeps every peer's connectors in place
+export const withConnectorUpdates = (elements, updates) => {
+  const next = applyUpdates(elements, updates);
+  const changed = new Set(updates.map((u) => String(u.elementId)));
+  const byId = new Map(next.map((el) => [String(el.id), el]));
+  const routed = [...updates];
+
+  next.forEach((element) => {
+    if (!isConnector(element)) return;
+    const attached = [element.start, element.end].some(
+      (end) => end && changed.has(String(end.elementId))
+    );
+    if (!attached && !changed.has(String(element.id))) return;
+    const points = routeConnector(element, byId);
+    if (!points) return;
+    const i = routed.findIndex((u) => isSameId(u.elementId, element.id));
+    if (i === -1) {
+      routed.push({ elementId: String(element.id), updatedAttrs: { points } });
+    } else {
+      routed[i] = {
+        ...routed[i],
+        updatedAttrs: { ...routed[i].updatedAttrs, points },
+      };
+    }
+  });
+  return routed;
+};
+
+// Triangles ([tip, left, right]) for the heads a connector shows
+export const getArrowHeads = (element) => {
+  const [x1, y1, x2, y2] = element.points;
+  const size = getArrowHeadSize(element.strokeWidth);
+  const head = (tip, tail) => {
+    const angle = Math.atan2(tip[1] - tail[1], tip[0] - tail[0]);
+    const base = [tip[0] - size * Math.cos(angle), tip[1] - size * Math.sin(angle)];
+    const spread = [(size / 2) * Math.sin(angle), (-size / 2) * Math.cos(angle)];
+    return [
+      tip,
+      [base[0] + spread[0], base[1] + spread[1]],
+      [base[0] - spread[0], base[1] - spread[1]],
+    ];
+  };
+  const heads = [];
+  if (element.arrowheads !== "none") heads.push(head([x2, y2], [x1, y1]));
+  if (element.arrowheads === "both") heads.push(head([x1, y1], [x2, y2]));
+  return heads;
+};
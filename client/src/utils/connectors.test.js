@@ -0,0 +1,113 @@
+import {
+  getAnchors,
+  findNearestAnchor,
+  isAttachedConnector,
+  routeConnector,
+  withConnectorUpdates,
+} from './connectors';
+
+const box = { id: 'box', type: 'rectangle', x: 0, y: 0, width: 100, height: 50 };
+const circle = { id: 'circle', type: 'circle', x: 300, y: 100, radius: 20 };
+const arrow = {
+  id: 'arrow',
+  type: 'arrow',
+  points: [100, 25, 280, 100],
+  start: { elementId: 'box', anchor: 'right' },
+  end: { elementId: 'circle', anchor: 'left' },
+};
+
+const round = (anchors) =>
+  anchors.map(({ id, x, y }) => ({ id, x: Math.round(x), y: Math.round(y) }));
+
+describe('getAnchors', () => {
+  it('offers the edge midpoints of boxes, rotated with them', () => {
+    expect(round(getAnchors(box))).toEqual([
+      { id: 'top', x: 50, y: 0 },
+      { id: 'right', x: 100, y: 25 },
+      { id: 'bottom', x: 50, y: 50 },
+      { id: 'left', x: 0, y: 25 },
+    ]);
+    expect(round(getAnchors({ ...box, rotation: 90 }))[1]).toEqual({ id: 'right', x: -25, y: 100 });
+  });
+
+  it('offers the compass points of circles and the corners of polygons', () => {
+    expect(getAnchors(circle).map((a) => [a.id, a.x, a.y])).toEqual([
+      ['top', 300, 80],
+      ['right', 320, 100],
+      ['bottom', 300, 120],
+      ['left', 280, 100],
+    ]);
+    const triangle = { id: 't', type: 'triangle', points: [0, 0, 10, 0, 5, 8] };
+    expect(getAnchors(triangle).map((a) => a.id)).toEqual(['v0', 'v1', 'v2']);
+  });
+
+  it('offers nothing on strokes and connectors', () => {
+    expect(getAnchors({ id: 'f', type: 'freehand', points: [0, 0, 5, 5] })).toEqual([]);
+    expect(getAnchors(arrow)).toEqual([]);
+  });
+});
+
+describe('findNearestAnchor', () => {
+  it('finds the closest anchor within reach', () => {
+    expect(findNearestAnchor([box, circle], { x: 104, y: 28 }, 12)).toEqual({
+      elementId: 'box',
+      anchor: 'right',
+      x: 100,
+      y: 25,
+    });
+    expect(findNearestAnchor([box, circle], { x: 200, y: 200 }, 12)).toBeNull();
+  });
+
+  it('skips the excluded element', () => {
+    expect(findNearestAnchor([box], { x: 100, y: 25 }, 12, 'box')).toBeNull();
+  });
+});
+
+describe('routeConnector', () => {
+  const byId = (elements) => new Map(elements.map((el) => [el.id, el]));
+
+  it('moves attached ends onto their anchors', () => {
+    const moved = { ...box, x: 10, y: 10 };
+    expect(routeConnector(arrow, byId([moved, circle]))).toEqual([110, 35, 280, 100]);
+  });
+
+  it('returns null when nothing moved', () => {
+    expect(routeConnector(arrow, byId([box, circle]))).toBeNull();
+  });
+
+  it('leaves ends whose shape is gone where they are', () => {
+    const moved = { ...circle, y: 200 };
+    expect(routeConnector(arrow, byId([moved]))).toEqual([100, 25, 280, 200]);
+  });
+});
+
+describe('withConnectorUpdates', () => {
+  it('adds the new points of connectors attached to updated shapes', () => {
+    const updates = [{ elementId: 'circle', updatedAttrs: { x: 400 } }];
+    expect(withConnectorUpdates([box, circle, arrow], updates)).toEqual([
+      ...updates,
+      { elementId: 'arrow', updatedAttrs: { points: [100, 25, 380, 100] } },
+    ]);
+  });
+
+  it('merges the points into an update of the connector itself', () => {
+    const updates = [
+      { elementId: 'box', updatedAttrs: { y: 50 } },
+      { elementId: 'arrow', updatedAttrs: { color: '#ff0000' } },
+    ];
+    expect(withConnectorUpdates([box, circle, arrow], updates)[1]).toEqual({
+      elementId: 'arrow',
+      updatedAttrs: { color: '#ff0000', points: [100, 75, 280, 100] },
+    });
+  });
+});
+
+describe('isAttachedConnector', () => {
+  it('counts only ends whose shape is still on the board', () => {
+    expect(isAttachedConnector(arrow, new Set(['box', 'circle']))).toBe(true);
+    expect(isAttachedConnector(arrow, new Set(['circle']))).toBe(true);
+    expect(isAttachedConnector(arrow, new Set())).toBe(false);
+    expect(isAttachedConnector({ ...arrow, start: null, end: null }, new Set(['box']))).toBe(false);
+    expect(isAttachedConnector(box, new Set(['box']))).toBe(false);
+  });
+});
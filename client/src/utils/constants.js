@@ -7,7 +7,10 @@ export const SHAPES = {
   ERASER: 'eraser',
   TEXT: 'text',
   HEXAGON: 'hexagon',
-  PENTAGON: 'pentagon'
+  PENTAGON: 'pentagon',
+  IMAGE: 'image',
+  ARROW: 'arrow',
+  STICKY: 'sticky'
 };
 
 export const EVENTS = {
@@ -24,15 +27,31 @@ export const EVENTS = {
   DRAW_END: 'draw-end',
   SHAPE_RECOGNIZED: 'shape-recognized',
   SHAPE_UPDATE: 'shape-update',
+  ELEMENTS_ADD: 'elements-add',
+  ELEMENTS_DELETE: 'elements-delete',
+  ELEMENTS_UPDATE: 'elements-update',
+  NOTE_VOTE: 'note-vote',
+  LAYERS_UPDATE: 'layers-update',
   CLEAR_BOARD: 'clear-board',
 
   // Cursor events
   CURSOR_MOVE: 'cursor-move',
   CURSOR_LEAVE: 'cursor-leave',
 
+  // Viewport events (minimap and follow mode)
+  VIEWPORT_UPDATE: 'viewport-update',
+
+  // Video call signaling
+  CALL_JOIN: 'call-join',
+  CALL_LEAVE: 'call-leave',
+  CALL_PARTICIPANTS: 'call-participants',
+  CALL_SIGNAL: 'call-signal',
+  CALL_MEDIA_STATE: 'call-media-state',
+
   // Chat events
   MESSAGE_SEND: 'message-send',
-  MESSAGE_RECEIVE: 'message-receive'
+  MESSAGE_RECEIVE: 'message-receive',
+  MESSAGE_HISTORY: 'message-history'
 };
 
 export const DRAWING_TOOLS = {
@@ -40,7 +59,8 @@ export const DRAWING_TOOLS = {
   ERASER: 'eraser',
   SELECT: 'select',
   TEXT: 'text',
-  SHAPE: 'shape'
+  SHAPE: 'shape',
+  ARROW: 'arrow'
 };
 
 export const SOCKET_CONFIG = {
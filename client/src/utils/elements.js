@@ -0,0 +1,200 @@
+// Helpers for working with board elements shared by the whiteboard and its peers
+
+// Timestamps alone collide when two users start drawing in the same millisecond
+export const createElementId = () =>
+  `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+
+export const isSameId = (a, b) => String(a) === String(b);
+
+// Append a point to the stroke with the given id, leaving other strokes untouched
+export const appendStrokePoint = (elements, elementId, point) =>
+  elements.map((el) =>
+    isSameId(el.id, elementId)
+      ? { ...el, points: [...(el.points || []), point] }
+      : el
+  );
+
+// Merge [{ elementId, updatedAttrs }] into the matching elements
+export const applyUpdates = (elements, updates) => {
+  const byId = new Map(updates.map((u) => [String(u.elementId), u.updatedAttrs]));
+  return elements.map((el) =>
+    byId.has(String(el.id)) ? { ...el, ...byId.get(String(el.id)) } : el
+  );
+};
+
+// Attributes that move an element by (dx, dy)
+export const translateElement = (element, dx, dy) => {
+  if (element.points) {
+    return {
+      points: Array.isArray(element.points[0])
+        ? element.points.map(([x, y]) => [x + dx, y + dy])
+        : element.points.map((v, i) => v + (i % 2 === 0 ? dx : dy)),
+    };
+  }
+  return { x: element.x + dx, y: element.y + dy };
+};
+
+// Current values of the given attributes, used as the "before" side of an update
+export const pickAttrs = (element, keys) =>
+  Object.fromEntries(keys.map((key) => [key, element[key] ?? null]));
+
+// Put elements back at their recorded z-order positions (e.g. after an undo)
+export const restoreElements = (elements, entries) => {
+  const restored = elements.filter(
+    (el) => !entries.some((entry) => isSameId(entry.element.id, el.id))
+  );
+  [...entries]
+    .sort((a, b) => a.index - b.index)
+    .forEach(({ element, index }) => {
+      const at = Number.isInteger(index)
+        ? Math.min(index, restored.length)
+        : restored.length;
+      restored.splice(at, 0, element);
+    });
+  return restored;
+};
+
+export const removeElements = (elements, elementIds) =>
+  elements.filter((el) => !elementIds.some((id) => isSameId(id, el.id)));
+
+// Snapshot elements with their current positions so they can be restored later
+export const toEntries = (elements, elementIds) =>
+  elements
+    .map((element, index) => ({ element, index }))
+    .filter(({ element }) => elementIds.some((id) => isSameId(id, element.id)));
+
+// Freehand strokes start as [[x, y], ...] but become flat after a transform
+export const toPointPairs = (points = []) => {
+  if (Array.isArray(points[0])) return points;
+  const pairs = [];
+  for (let i = 0; i < points.length - 1; i += 2) {
+    pairs.push([points[i], points[i + 1]]);
+  }
+  return pairs;
+};
+
+// Cut the points inside a circular eraser out of a stroke.
+// Returns the remaining pieces, or null when the eraser misses the stroke.
+export const splitStroke = (points, center, radius) => {
+  const segments = [];
+  let current = [];
+  let hit = false;
+  toPointPairs(points).forEach(([x, y]) => {
+    if (Math.hypot(x - center.x, y - center.y) <= radius) {
+      hit = true;
+      if (current.length) segments.push(current);
+      current = [];
+    } else {
+      current.push([x, y]);
+    }
+  });
+  if (current.length) segments.push(current);
+  if (!hit) return null;
+  return segments.filter((segment) => segment.length > 1);
+};
+
+export const rotatePoint = ([x, y], [ox, oy], degrees) => {
+  const rad = (degrees * Math.PI) / 180;
+  const cos = Math.cos(rad);
+  const sin = Math.sin(rad);
+  return [
+    ox + (x - ox) * cos - (y - oy) * sin,
+    oy + (x - ox) * sin + (y - oy) * cos,
+  ];
+};
+
+// Text size is only known to Konva, so estimate it from the font size
+export const estimateTextSize = (element) => {
+  const fontSize = element.fontSize || 24;
+  const lines = String(element.text || "").split("\n");
+  const longest = Math.max(...lines.map((line) => line.length), 1);
+  return {
+    width: element.width || longest * fontSize * 0.6,
+    height: lines.length * fontSize * 1.2,
+  };
+};
+
+// Axis-aligned box around an element in board coordinates, stroke included
+export const getElementBounds = (element) => {
+  const pad = (element.strokeWidth || 0) / 2;
+  let corners;
+
+  if (element.type === "circle") {
+    const r = element.radius || 0;
+    corners = [
+      [element.x - r, element.y - r],
+      [element.x + r, element.y + r],
+    ];
+  } else if (element.points) {
+    corners = toPointPairs(element.points);
+  } else {
+    let width = element.width || 0;
+    let height = element.height || 0;
+    if (element.type === "square") {
+      width = element.side;
+      height = element.side;
+    } else if (element.type === "text") {
+      ({ width, height } = estimateTextSize(element));
+    }
+    const origin = [element.x, element.y];
+    corners = [
+      [element.x, element.y],
+      [element.x + width, element.y],
+      [element.x + width, element.y + height],
+      [element.x, element.y + height],
+    ].map((corner) => rotatePoint(corner, origin, element.rotation || 0));
+  }
+
+  if (corners.length === 0) return null;
+  const xs = corners.map(([x]) => x);
+  const ys = corners.map(([, y]) => y);
+  const minX = Math.min(...xs) - pad;
+  const minY = Math.min(...ys) - pad;
+  return {
+    x: minX,
+    y: minY,
+    width: Math.max(...xs) + pad - minX,
+    height: Math.max(...ys) + pad - minY,
+  };
+};
+
+// Union of the bounds of several elements, or null for an empty list
+export const getBoundsOfElements = (elements, padding = 0) => {
+  const boxes = elements.map(getElementBounds).filter(Boolean);
+  if (boxes.length === 0) return null;
+  const minX = Math.min(...boxes.map((b) => b.x)) - padding;
+  const minY = Math.min(...boxes.map((b) => b.y)) - padding;
+  const maxX = Math.max(...boxes.map((b) => b.x + b.width)) + padding;
+  const maxY = Math.max(...boxes.map((b) => b.y + b.height)) + padding;
+  return { x: minX, y: minY, width: maxX - minX, height: maxY - minY };
+};
+
+// Copies with fresh ids, moved by (dx, dy). Grouped elements stay grouped
+// with each other but not with the originals, and connectors stay attached
+// only to shapes that were copied along with them
+export const duplicateElements = (elements, dx = 0, dy = 0) => {
+  const groupIds = new Map();
+  const ids = new Map(elements.map((element) => [String(element.id), createElementId()]));
+  const copies = elements.map((element) => {
+    const copy = {
+      ...element,
+      ...translateElement(element, dx, dy),
+      id: ids.get(String(element.id)),
+    };
+    if (element.groupId) {
+      if (!groupIds.has(element.groupId)) {
+        groupIds.set(element.groupId, createElementId());
+      }
+      copy.groupId = groupIds.get(element.groupId);
+    }
+    return copy;
+  });
+  return copies.map((copy) => {
+    if (!copy.start && !copy.end) return copy;
+    const rebind = (end) =>
+      end && ids.has(String(end.elementId))
+        ? { ...end, elementId: ids.get(String(end.elementId)) }
+        : null;
+    return { ...copy, start: rebind(copy.start), end: rebind(copy.end) };
+  });
+};
@@ -0,0 +1,178 @@
+import { SHAPES } from "./constants";
+import { toPointPairs } from "./elements";
+import { resolveAssetUrl } from "./api";
+import { getArrowHeads } from "./connectors";
+import { FILLABLE_TYPES, getDash, getLineCap } from "./styles";
+import {
+  NOTE_PADDING,
+  NOTE_FOOTER,
+  NOTE_LINE_HEIGHT,
+  getNoteTextBox,
+  fitNoteFontSize,
+  wrapText,
+} from "./notes";
+
+const FONT_FAMILY = "Inter, -apple-system, Segoe UI, Roboto, sans-serif";
+
+const escapeXml = (value) =>
+  String(value)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+
+const round = (value) => Math.round(value * 100) / 100;
+
+const pointsAttr = (points) =>
+  toPointPairs(points)
+    .map(([x, y]) => `${round(x)},${round(y)}`)
+    .join(" ");
+
+const rotateAttr = (element) =>
+  element.rotation
+    ? ` transform="rotate(${round(element.rotation)} ${round(element.x)} ${round(element.y)})"`
+    : "";
+
+const fillAttrs = (element) => {
+  if (!FILLABLE_TYPES.includes(element.type) || !element.fill) return 'fill="none"';
+  const opacity = element.fillOpacity ?? 1;
+  return `fill="${escapeXml(element.fill)}"${opacity < 1 ? ` fill-opacity="${opacity}"` : ""}`;
+};
+
+const shapeToSvg = (element, background) => {
+  const stroke = escapeXml(element.color || "#000000");
+  const strokeWidth = element.strokeWidth || 1;
+  const dash = getDash(element.strokeStyle, strokeWidth);
+  const strokeAttrs = [
+    fillAttrs(element),
+    `stroke="${stroke}" stroke-width="${strokeWidth}"`,
+    `stroke-linecap="${getLineCap(element)}"`,
+    ...(dash ? [`stroke-dasharray="${dash.map(round).join(" ")}"`] : []),
+  ].join(" ");
+
+  switch (element.type) {
+    case SHAPES.FREEHAND:
+    case SHAPES.LINE:
+      return `<polyline points="${pointsAttr(element.points)}" ${strokeAttrs} stroke-linejoin="round"/>`;
+    case SHAPES.ARROW: {
+      const headFill = element.headStyle === "outline" ? escapeXml(background) : stroke;
+      const heads = getArrowHeads(element).map(
+        (head) =>
+          `<polygon points="${pointsAttr(head)}" fill="${headFill}" stroke="${stroke}" stroke-width="${strokeWidth}" stroke-linejoin="round"/>`
+      );
+      return [
+        `<polyline points="${pointsAttr(element.points)}" ${strokeAttrs}/>`,
+        ...heads,
+      ].join("");
+    }
+    case SHAPES.ERASER:
+      // Legacy eraser strokes cut through the canvas; paint them with the background
+      return `<polyline points="${pointsAttr(element.points)}" fill="none" stroke="${escapeXml(background)}" stroke-width="${strokeWidth}" stroke-linecap="round" stroke-linejoin="round"/>`;
+    case SHAPES.TRIANGLE:
+    case SHAPES.HEXAGON:
+    case SHAPES.PENTAGON:
+      return `<polygon points="${pointsAttr(element.points)}" ${strokeAttrs}/>`;
+    case SHAPES.CIRCLE:
+      return `<circle cx="${round(element.x)}" cy="${round(element.y)}" r="${round(element.radius)}" ${strokeAttrs}/>`;
+    case SHAPES.RECTANGLE:
+      return `<rect x="${round(element.x)}" y="${round(element.y)}" width="${round(element.width)}" height="${round(element.height)}" ${strokeAttrs}${rotateAttr(element)}/>`;
+    case "square":
+      return `<rect x="${round(element.x)}" y="${round(element.y)}" width="${round(element.side)}" height="${round(element.side)}" ${strokeAttrs}${rotateAttr(element)}/>`;
+    case SHAPES.IMAGE:
+      return `<image href="${escapeXml(resolveAssetUrl(element.src))}" x="${round(element.x)}" y="${round(element.y)}" width="${round(element.width)}" height="${round(element.height)}" preserveAspectRatio="none"${rotateAttr(element)}/>`;
+    case SHAPES.STICKY: {
+      // Konva wraps note text itself, so the SVG uses the same estimate the
+      // note's font size is fitted with
+      const box = getNoteTextBox(element);
+      const fontSize = fitNoteFontSize(element);
+      const left = element.x + box.x;
+      const lines = wrapText(element.text, box.width, fontSize)
+        .map(
+          (line, i) =>
+            `<tspan x="${round(left)}" dy="${i === 0 ? 0 : round(fontSize * NOTE_LINE_HEIGHT)}">${escapeXml(line)}</tspan>`
+        )
+        .join("");
+      const footerY = element.y + element.height - NOTE_PADDING - NOTE_FOOTER / 2;
+      return [
+        `<g${rotateAttr(element)}>`,
+        `<rect x="${round(element.x)}" y="${round(element.y)}" width="${round(element.width)}" height="${round(element.height)}" rx="4" fill="${escapeXml(element.fill)}"/>`,
+        `<text x="${round(left)}" y="${round(element.y + box.y)}" font-size="${fontSize}" font-family="${FONT_FAMILY}" fill="${escapeXml(element.color || "#1f2937")}" dominant-baseline="hanging">${lines}</text>`,
+        `<text x="${round(left)}" y="${round(footerY)}" font-size="11" font-family="${FONT_FAMILY}" fill="#000000" fill-opacity="0.55" dominant-baseline="middle">${escapeXml(element.author || "")}</text>`,
+        "</g>",
+      ].join("");
+    }
+    case SHAPES.TEXT: {
+      const fontSize = element.fontSize || 24;
+      const lines = String(element.text || "")
+        .split("\n")
+        .map(
+          (line, i) =>
+            `<tspan x="${round(element.x)}" dy="${i === 0 ? 0 : fontSize * 1.2}">${escapeXml(line)}</tspan>`
+        )
+        .join("");
+      return `<text x="${round(element.x)}" y="${round(element.y)}" font-size="${fontSize}" font-family="${FONT_FAMILY}" fill="${stroke}" dominant-baseline="hanging"${rotateAttr(element)}>${lines}</text>`;
+    }
+    default:
+      return "";
+  }
+};
+
+// Overall opacity fades the element as a whole, as it does on the canvas
+const elementToSvg = (element, background) => {
+  const svg = shapeToSvg(element, background);
+  const opacity = element.opacity ?? 1;
+  return svg && opacity < 1 ? `<g opacity="${opacity}">${svg}</g>` : svg;
+};
+
+// Vector copy of the board built from the element model, cropped to bounds
+export const elementsToSvg = (elements, { bounds, background = "#ffffff" }) => {
+  const { x, y, width, height } = bounds;
+  const body = elements
+    .map((element) => elementToSvg(element, background))
+    .filter(Boolean)
+    .join("\n  ");
+  return [
+    `<svg xmlns="http://www.w3.org/2000/svg" width="${round(width)}" height="${round(height)}" viewBox="${round(x)} ${round(y)} ${round(width)} ${round(height)}">`,
+    `  <rect x="${round(x)}" y="${round(y)}" width="${round(width)}" height="${round(height)}" fill="${escapeXml(background)}"/>`,
+    `  ${body}`,
+    "</svg>",
+  ].join("\n");
+};
+
+// Split a region into page-sized tiles, row by row
+export const paginate = (bounds, pageWidth, pageHeight) => {
+  const columns = Math.max(1, Math.ceil(bounds.width / pageWidth));
+  const rows = Math.max(1, Math.ceil(bounds.height / pageHeight));
+  const tiles = [];
+  for (let row = 0; row < rows; row++) {
+    for (let column = 0; column < columns; column++) {
+      const x = bounds.x + column * pageWidth;
+      const y = bounds.y + row * pageHeight;
+      tiles.push({
+        x,
+        y,
+        width: Math.min(pageWidth, bounds.x + bounds.width - x),
+        height: Math.min(pageHeight, bounds.y + bounds.height - y),
+      });
+    }
+  }
+  return tiles;
+};
+
+export const downloadFile = (fileName, data) => {
+  const url = typeof data === "string" ? data : URL.createObjectURL(data);
+  const link = document.createElement("a");
+  link.href = url;
+  link.download = fileName;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  if (url !== data) {
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+  }
+};
+
+export const exportFileName = (roomId, extension) => {
+  const stamp = new Date().toISOString().slice(0, 19).replace(/[T:]/g, "-");
+  return `sketchsphere-${roomId || "board"}-${stamp}.${extension}`;
+};
@@ -0,0 +1,55 @@
+// Loading and normalizing pictures that become image elements
+
+// Longest side of an uploaded image; bigger pictures are scaled down first
+export const MAX_IMAGE_SIZE = 2048;
+// Mirrors the server's MAX_IMAGE_BYTES default
+const MAX_UPLOAD_BYTES = 5 * 1024 * 1024;
+// Formats the server stores as-is; anything else (e.g. SVG) is rasterized
+const UPLOAD_TYPES = ["image/png", "image/jpeg", "image/gif", "image/webp"];
+
+export const loadImage = (src) =>
+  new Promise((resolve, reject) => {
+    const image = new window.Image();
+    // Lets exports read pixels of images served from another origin
+    image.crossOrigin = "anonymous";
+    image.onload = () => resolve(image);
+    image.onerror = () => reject(new Error("Could not load image"));
+    image.src = src;
+  });
+
+export const isSvgMarkup = (text) => /^\s*(<\?xml[^>]*>\s*)?<svg[\s>]/i.test(text);
+
+const canvasToBlob = (canvas, type, quality) =>
+  new Promise((resolve) => canvas.toBlob(resolve, type, quality));
+
+// Turn a dropped or pasted picture into something the server accepts.
+// Resolves to { blob, width, height }
+export const prepareImage = async (file) => {
+  const url = URL.createObjectURL(file);
+  try {
+    const image = await loadImage(url);
+    // SVGs without width/height report no natural size
+    const naturalWidth = image.naturalWidth || 300;
+    const naturalHeight = image.naturalHeight || 150;
+    const scale = Math.min(1, MAX_IMAGE_SIZE / Math.max(naturalWidth, naturalHeight));
+    if (scale === 1 && UPLOAD_TYPES.includes(file.type) && file.size <= MAX_UPLOAD_BYTES) {
+      return { blob: file, width: naturalWidth, height: naturalHeight };
+    }
+
+    const width = Math.max(1, Math.round(naturalWidth * scale));
+    const height = Math.max(1, Math.round(naturalHeight * scale));
+    const canvas = document.createElement("canvas");
+    canvas.width = width;
+    canvas.height = height;
+    canvas.getContext("2d").drawImage(image, 0, 0, width, height);
+
+    // PNG keeps transparency; photos that come out too large go to JPEG
+    let blob = await canvasToBlob(canvas, "image/png");
+    if (file.type === "image/jpeg" || blob.size > MAX_UPLOAD_BYTES) {
+      blob = await canvasToBlob(canvas, "image/jpeg", 0.85);
+    }
+    return { blob, width, height };
+  } finally {
+    URL.revokeObjectURL(url);
+  }
+};
@@ -0,0 +1,78 @@
+// Layer model: the room keeps an ordered list of layers (bottom to top) and
+// every element points at one through its layerId
+import { isSameId } from "./elements";
+
+export const DEFAULT_LAYER = {
+  id: "default",
+  name: "Layer 1",
+  visible: true,
+  locked: false,
+};
+
+// Rooms start without stored layers
+export const withDefaultLayer = (layers) =>
+  layers && layers.length > 0 ? layers : [DEFAULT_LAYER];
+
+// Missing or deleted layer ids fall back to the bottom layer
+export const getElementLayer = (element, layers) =>
+  layers.find((layer) => layer.id === element.layerId) || layers[0];
+
+export const isElementVisible = (element, layers) =>
+  !element.hidden && getElementLayer(element, layers).visible;
+
+// Locked or hidden elements can't be selected, moved or erased
+export const isElementEditable = (element, layers) => {
+  const layer = getElementLayer(element, layers);
+  return !element.hidden && !element.locked && layer.visible && !layer.locked;
+};
+
+// Drawing order: layers bottom to top, board order within a layer
+export const sortByLayer = (elements, layers) => {
+  const rank = new Map(layers.map((layer, index) => [layer.id, index]));
+  return elements
+    .map((element, index) => ({
+      element,
+      index,
+      rank: rank.get(getElementLayer(element, layers).id),
+    }))
+    .sort((a, b) => a.rank - b.rank || a.index - b.index)
+    .map(({ element }) => element);
+};
+
+// Board order after moving the given elements one step 'forward' or
+// 'backward' past their nearest neighbour on the same layer. Returns the
+// { elementId, from, to } moves, empty when nothing can move
+export const getReorderMoves = (elements, elementIds, direction, layers) => {
+  const isMoving = (element) => elementIds.some((id) => isSameId(id, element.id));
+  const step = direction === "forward" ? 1 : -1;
+  const order = [...elements];
+  const indices = order
+    .map((element, index) => (isMoving(element) ? index : -1))
+    .filter((index) => index !== -1);
+  // Move the element closest to the edge first so a selection keeps its order
+  if (step === 1) indices.reverse();
+
+  indices.forEach((start) => {
+    const element = order[start];
+    const layerId = getElementLayer(element, layers).id;
+    let next = start + step;
+    while (
+      next >= 0 &&
+      next < order.length &&
+      getElementLayer(order[next], layers).id !== layerId
+    ) {
+      next += step;
+    }
+    if (next < 0 || next >= order.length || isMoving(order[next])) return;
+    order.splice(start, 1);
+    order.splice(next, 0, element);
+  });
+
+  return order
+    .map((element, to) => ({
+      elementId: String(element.id),
+      from: elements.indexOf(element),
+      to,
+    }))
+    .filter((move) => move.from !== move.to && isMoving(order[move.to]));
+};
@@ -0,0 +1,69 @@
+// Layout of sticky notes: colored squares with wrapped text, an author tag
+// and voting dots along the bottom
+
+export const NOTE_COLORS = [
+  { name: "Yellow", fill: "#fef08a" },
+  { name: "Pink", fill: "#fbcfe8" },
+  { name: "Blue", fill: "#bfdbfe" },
+  { name: "Green", fill: "#bbf7d0" },
+  { name: "Orange", fill: "#fed7aa" },
+  { name: "Purple", fill: "#ddd6fe" },
+];
+export const NOTE_SIZE = 180;
+export const NOTE_PADDING = 12;
+// Strip under the text holding the author tag and votes
+export const NOTE_FOOTER = 20;
+export const NOTE_LINE_HEIGHT = 1.2;
+const MAX_FONT_SIZE = 28;
+const MIN_FONT_SIZE = 10;
+// Average glyph width relative to the font size, close enough for Inter
+const CHAR_WIDTH = 0.55;
+
+// Box the note's text is laid out in, relative to the note
+export const getNoteTextBox = (note) => ({
+  x: NOTE_PADDING,
+  y: NOTE_PADDING,
+  width: Math.max(1, note.width - NOTE_PADDING * 2),
+  height: Math.max(1, note.height - NOTE_PADDING * 2 - NOTE_FOOTER),
+});
+
+// Word-wrap text to a width, estimated from the font size. Words longer
+// than a line are broken
+export const wrapText = (text, width, fontSize) => {
+  const perLine = Math.max(1, Math.floor(width / (fontSize * CHAR_WIDTH)));
+  const lines = [];
+  String(text || "")
+    .split("\n")
+    .forEach((paragraph) => {
+      let line = "";
+      paragraph.split(" ").forEach((word) => {
+        let rest = word;
+        while (rest.length > perLine) {
+          if (line) lines.push(line);
+          lines.push(rest.slice(0, perLine));
+          line = "";
+          rest = rest.slice(perLine);
+        }
+        const candidate = line ? `${line} ${rest}` : rest;
+        if (candidate.length > perLine) {
+          lines.push(line);
+          line = rest;
+        } else {
+          line = candidate;
+        }
+      });
+      lines.push(line);
+    });
+  return lines;
+};
+
+// Largest font size at which the note's text still fits its box, so short
+// notes read big and long ones shrink instead of overflowing
+export const fitNoteFontSize = (note) => {
+  const box = getNoteTextBox(note);
+  for (let size = MAX_FONT_SIZE; size > MIN_FONT_SIZE; size--) {
+    const lines = wrapText(note.text, box.width, size).length;
+    if (lines * size * NOTE_LINE_HEIGHT <= box.height) return size;
+  }
+  return MIN_FONT_SIZE;
+};
@@ -0,0 +1,67 @@
+import { NOTE_SIZE, NOTE_LINE_HEIGHT, getNoteTextBox, wrapText, fitNoteFontSize } from './notes';
+
+// 10px glyphs are estimated at 5.5px, so 55px holds 10 characters
+const WIDTH = 55;
+const FONT_SIZE = 10;
+
+describe('wrapText', () => {
+  it('gives one empty line for empty or missing text', () => {
+    expect(wrapText('', WIDTH, FONT_SIZE)).toEqual(['']);
+    expect(wrapText(undefined, WIDTH, FONT_SIZE)).toEqual(['']);
+  });
+
+  it('wraps between words', () => {
+    expect(wrapText('hello world', WIDTH, FONT_SIZE)).toEqual(['hello', 'world']);
+    expect(wrapText('one two three', WIDTH, FONT_SIZE)).toEqual(['one two', 'three']);
+  });
+
+  it('breaks words longer than a line', () => {
+    expect(wrapText('abcdefghijklmnopqrstuvwxy', WIDTH, FONT_SIZE)).toEqual([
+      'abcdefghij',
+      'klmnopqrst',
+      'uvwxy',
+    ]);
+    expect(wrapText('hi abcdefghijkl', WIDTH, FONT_SIZE)).toEqual(['hi', 'abcdefghij', 'kl']);
+  });
+
+  it('keeps line breaks, including empty lines', () => {
+    expect(wrapText('a\n\nb', WIDTH, FONT_SIZE)).toEqual(['a', '', 'b']);
+  });
+
+  it('fits at least one character per line', () => {
+    expect(wrapText('abc', 1, FONT_SIZE)).toEqual(['a', 'b', 'c']);
+  });
+});
+
+describe('fitNoteFontSize', () => {
+  const note = (text, size = NOTE_SIZE) => ({ text, width: size, height: size });
+  const fits = (n, fontSize) => {
+    const box = getNoteTextBox(n);
+    return wrapText(n.text, box.width, fontSize).length * fontSize * NOTE_LINE_HEIGHT <= box.height;
+  };
+
+  it('uses the largest size for empty and short notes', () => {
+    expect(fitNoteFontSize(note(''))).toBe(28);
+    expect(fitNoteFontSize(note('Hi'))).toBe(28);
+  });
+
+  it('shrinks to the largest size that still fits', () => {
+    const n = note('A longer note that needs a few lines to say what it has to say');
+    const size = fitNoteFontSize(n);
+    expect(size).toBeLessThan(28);
+    expect(fits(n, size)).toBe(true);
+    expect(fits(n, size + 1)).toBe(false);
+  });
+
+  it('shrinks long unbroken words too', () => {
+    const n = note('x'.repeat(120));
+    const size = fitNoteFontSize(n);
+    expect(size).toBeLessThan(28);
+    expect(fits(n, size)).toBe(true);
+  });
+
+  it('stops at the smallest size when nothing fits', () => {
+    expect(fitNoteFontSize(note('word '.repeat(500)))).toBe(10);
+    expect(fitNoteFontSize(note('Tiny note', 20))).toBe(10);
+  });
+});
@@ -0,0 +1,86 @@
+// Minimal PDF writer: one JPEG image per page, no external dependencies
+
+const encoder = new TextEncoder();
+
+const num = (value) => Number(value.toFixed(2));
+
+export const dataUrlToBytes = (dataUrl) => {
+  const binary = atob(dataUrl.split(",")[1]);
+  const bytes = new Uint8Array(binary.length);
+  for (let i = 0; i < binary.length; i++) {
+    bytes[i] = binary.charCodeAt(i);
+  }
+  return bytes;
+};
+
+/*
+ * pages: [{ jpeg: Uint8Array, width, height, drawWidth, drawHeight }]
+ * width/height are the image's pixel size; drawWidth/drawHeight its size on
+ * the page in points, anchored to the top-left corner.
+ */
+export const createImagePdf = (pages, { pageWidth = 842, pageHeight = 595 } = {}) => {
+  const chunks = [];
+  const offsets = [];
+  let length = 0;
+
+  const push = (data) => {
+    const bytes = typeof data === "string" ? encoder.encode(data) : data;
+    chunks.push(bytes);
+    length += bytes.length;
+  };
+  const startObject = (id) => {
+    offsets[id] = length;
+    push(`${id} 0 obj\n`);
+  };
+
+  // Object ids: 1 catalog, 2 page tree, then page/content/image per page
+  const pageIds = pages.map((_, i) => 3 + i * 3);
+  const objectCount = 2 + pages.length * 3;
+
+  push("%PDF-1.4\n");
+  startObject(1);
+  push("<< /Type /Catalog /Pages 2 0 R >>\nendobj\n");
+  startObject(2);
+  push(
+    `<< /Type /Pages /Kids [${pageIds.map((id) => `${id} 0 R`).join(" ")}] ` +
+      `/Count ${pages.length} >>\nendobj\n`
+  );
+
+  pages.forEach((page, i) => {
+    const pageId = pageIds[i];
+    const contentId = pageId + 1;
+    const imageId = pageId + 2;
+    const content =
+      `q ${num(page.drawWidth)} 0 0 ${num(page.drawHeight)} 0 ` +
+      `${num(pageHeight - page.drawHeight)} cm /Im${i} Do Q`;
+
+    startObject(pageId);
+    push(
+      `<< /Type /Page /Parent 2 0 R /MediaBox [0 0 ${pageWidth} ${pageHeight}] ` +
+        `/Resources << /XObject << /Im${i} ${imageId} 0 R >> >> ` +
+        `/Contents ${contentId} 0 R >>\nendobj\n`
+    );
+    startObject(contentId);
+    push(`<< /Length ${content.length} >>\nstream\n${content}\nendstream\nendobj\n`);
+    startObject(imageId);
+    push(
+      `<< /Type /XObject /Subtype /Image /Width ${page.width} /Height ${page.height} ` +
+        `/ColorSpace /DeviceRGB /BitsPerComponent 8 /Filter /DCTDecode ` +
+        `/Length ${page.jpeg.length} >>\nstream\n`
+    );
+    push(page.jpeg);
+    push("\nendstream\nendobj\n");
+  });
+
+  const xrefOffset = length;
+  push(`xref\n0 ${objectCount + 1}\n0000000000 65535 f \n`);
+  for (let id = 1; id <= objectCount; id++) {
+    push(`${String(offsets[id]).padStart(10, "0")} 00000 n \n`);
+  }
+  push(
+    `trailer\n<< /Size ${objectCount + 1} /Root 1 0 R >>\n` +
+      `startxref\n${xrefOffset}\n%%EOF`
+  );
+
+  return new Blob(chunks, { type: "application/pdf" });
+};
@@ -0,0 +1,12 @@
+// Rooms are shareable through either /room/<id> or ?room=<id>
+export const getRoomIdFromUrl = (location = window.location) => {
+  const fromQuery = new URLSearchParams(location.search).get('room');
+  if (fromQuery) return fromQuery;
+  const match = location.pathname.match(/\/room\/([^/]+)/);
+  return match ? decodeURIComponent(match[1]) : null;
+};
+
+export const buildInviteLink = (roomId, location = window.location) => {
+  const basePath = process.env.PUBLIC_URL || '';
+  return `${location.origin}${basePath}/?room=${encodeURIComponent(roomId)}`;
+};
@@ -0,0 +1,73 @@
+// Snapping of moved and resized elements to the grid and to smart guides,
+// lines through the edges and centers of the other elements
+import { getElementBounds } from "./elements";
+
+// Screen distance within which an edge or center snaps to a guide
+export const GUIDE_THRESHOLD = 6;
+
+export const snapToGridValue = (value, gridSize) =>
+  Math.round(value / gridSize) * gridSize;
+
+// Bounds of the shape itself, without its stroke, so that edges land
+// exactly on grid lines and on each other
+export const getShapeBounds = (element) =>
+  getElementBounds({ ...element, strokeWidth: 0 });
+
+// Positions of the guide lines offered by the given elements:
+// { vertical: [x, ...], horizontal: [y, ...] } through edges and centers
+export const getGuideLines = (elements) => {
+  const vertical = [];
+  const horizontal = [];
+  elements.forEach((element) => {
+    const box = getShapeBounds(element);
+    if (!box) return;
+    vertical.push(box.x, box.x + box.width / 2, box.x + box.width);
+    horizontal.push(box.y, box.y + box.height / 2, box.y + box.height);
+  });
+  return { vertical, horizontal };
+};
+
+// Closest line to any of the values within threshold, as
+// { offset, position }, or null
+const findClosestLine = (values, lines, threshold) => {
+  let best = null;
+  values.forEach((value) => {
+    lines.forEach((position) => {
+      const offset = position - value;
+      if (Math.abs(offset) <= threshold && (!best || Math.abs(offset) < Math.abs(best.offset))) {
+        best = { offset, position };
+      }
+    });
+  });
+  return best;
+};
+
+// How far to shift a moved box (world coordinates) so it lines up.
+// Guides win over the grid; the grid (gridSize, or null when off) snaps the
+// box's top-left corner. Returns { dx, dy, guides } where guides are
+// [{ orientation: 'vertical' | 'horizontal', position }]
+export const snapMove = (box, { lines, gridSize, threshold }) => {
+  const guides = [];
+  const axis = (start, size, positions, orientation) => {
+    const line =
+      positions && findClosestLine([start, start + size / 2, start + size], positions, threshold);
+    if (line) {
+      guides.push({ orientation, position: line.position });
+      return line.offset;
+    }
+    return gridSize ? snapToGridValue(start, gridSize) - start : 0;
+  };
+  const dx = axis(box.x, box.width, lines?.vertical, "vertical");
+  const dy = axis(box.y, box.height, lines?.horizontal, "horizontal");
+  return { dx, dy, guides };
+};
+
+// Snapped position of one edge being resized, as { value, guide }
+export const snapEdge = (value, orientation, { lines, gridSize, threshold }) => {
+  const positions = lines?.[orientation];
+  const line = positions && findClosestLine([value], positions, threshold);
+  if (line) {
+    return { value: line.position, guide: { orientation, position: line.position } };
+  }
+  return { value: gridSize ? snapToGridValue(value, gridSize) : value, guide: null };
+};
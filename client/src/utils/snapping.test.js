@@ -0,0 +1,51 @@
+import { getGuideLines, getShapeBounds, snapEdge, snapMove, snapToGridValue } from './snapping';
+
+const box = { id: 'box', type: 'rectangle', x: 100, y: 200, width: 50, height: 20, strokeWidth: 4 };
+const lines = getGuideLines([box]);
+
+describe('getShapeBounds and getGuideLines', () => {
+  it('ignore the stroke and offer edges and centers', () => {
+    expect(getShapeBounds(box)).toEqual({ x: 100, y: 200, width: 50, height: 20 });
+    expect(lines).toEqual({ vertical: [100, 125, 150], horizontal: [200, 210, 220] });
+  });
+});
+
+describe('snapMove', () => {
+  it('lines up any edge or the center with the closest guide', () => {
+    // Left edge 3 away from 150; center 2 away from 210, closer than the top edge to 200
+    const moved = { x: 147, y: 197, width: 30, height: 30 };
+    expect(snapMove(moved, { lines, gridSize: null, threshold: 6 })).toEqual({
+      dx: 3,
+      dy: -2,
+      guides: [
+        { orientation: 'vertical', position: 150 },
+        { orientation: 'horizontal', position: 210 },
+      ],
+    });
+  });
+
+  it('falls back to the grid for the top-left corner, or leaves the box alone', () => {
+    const far = { x: 412, y: 38, width: 30, height: 20 };
+    expect(snapMove(far, { lines, gridSize: 25, threshold: 6 })).toEqual({ dx: -12, dy: 12, guides: [] });
+    expect(snapMove(far, { lines, gridSize: null, threshold: 6 })).toEqual({ dx: 0, dy: 0, guides: [] });
+  });
+});
+
+describe('snapEdge', () => {
+  it('snaps a resized edge to a guide before the grid', () => {
+    expect(snapEdge(123, 'vertical', { lines, gridSize: 20, threshold: 6 })).toEqual({
+      value: 125,
+      guide: { orientation: 'vertical', position: 125 },
+    });
+    expect(snapEdge(63, 'horizontal', { lines, gridSize: 20, threshold: 6 })).toEqual({
+      value: 60,
+      guide: null,
+    });
+    expect(snapEdge(63, 'horizontal', { lines: null, gridSize: null, threshold: 6 }).value).toBe(63);
+  });
+
+  it('rounds to the nearest grid line', () => {
+    expect(snapToGridValue(37, 25)).toBe(25);
+    expect(snapToGridValue(38, 25)).toBe(50);
+  });
+});
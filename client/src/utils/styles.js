@@ -0,0 +1,71 @@
+// Fill, stroke pattern and opacity of elements, shared by the canvas, the
+// properties panel and the exporters
+import { SHAPES } from "./constants";
+
+export const STROKE_STYLES = ["solid", "dashed", "dotted"];
+export const LINE_CAPS = ["round", "butt", "square"];
+
+// Closed shapes that can be filled; sticky notes keep their own background
+export const FILLABLE_TYPES = [
+  SHAPES.CIRCLE,
+  SHAPES.RECTANGLE,
+  "square",
+  SHAPES.TRIANGLE,
+  SHAPES.HEXAGON,
+  SHAPES.PENTAGON,
+];
+// Elements drawn with a stroke whose pattern and caps can change
+export const STROKED_TYPES = [
+  ...FILLABLE_TYPES,
+  SHAPES.FREEHAND,
+  SHAPES.LINE,
+  SHAPES.ARROW,
+];
+
+// Dash array for a stroke pattern, scaled with the stroke so it reads the
+// same at any width. Dots are near-zero dashes made round by the cap
+export const getDash = (strokeStyle, strokeWidth = 1) => {
+  if (strokeStyle === "dashed") return [strokeWidth * 4, strokeWidth * 2.5];
+  if (strokeStyle === "dotted") return [0.1, strokeWidth * 2];
+  return undefined;
+};
+
+// Hand-drawn strokes and connectors have always been drawn with round caps
+const ROUND_CAP_TYPES = [SHAPES.FREEHAND, SHAPES.ERASER, SHAPES.LINE, SHAPES.ARROW];
+
+// Dotted strokes need round caps, or their dots disappear
+export const getLineCap = (element) => {
+  if (element.strokeStyle === "dotted") return "round";
+  return element.lineCap || (ROUND_CAP_TYPES.includes(element.type) ? "round" : "butt");
+};
+
+// Attributes the properties panel may change on an element
+export const getStyleKeys = (element) => [
+  ...(element.type === SHAPES.IMAGE ? [] : ["color"]),
+  ...(STROKED_TYPES.includes(element.type) ? ["strokeWidth", "strokeStyle", "lineCap"] : []),
+  ...(FILLABLE_TYPES.includes(element.type) ? ["fill", "fillOpacity"] : []),
+  "opacity",
+];
+
+// "#rrggbb" (or "#rgb") plus an opacity as a CSS rgba() color
+export const withAlpha = (color, alpha = 1) => {
+  const hex = /^#([0-9a-f]{3}|[0-9a-f]{6})$/i.exec(color || "");
+  if (!hex || alpha >= 1) return color;
+  const digits =
+    hex[1].length === 3
+      ? hex[1].split("").map((d) => d + d).join("")
+      : hex[1];
+  const [r, g, b] = [0, 2, 4].map((i) => parseInt(digits.slice(i, i + 2), 16));
+  return `rgba(${r}, ${g}, ${b}, ${alpha})`;
+};
+
+// Konva props for an element's fill, stroke pattern and opacity. Only
+// fillable shapes get a fill prop, so connectors keep their head fill
+export const getStyleProps = (element) => ({
+  ...(FILLABLE_TYPES.includes(element.type) && {
+    fill: element.fill ? withAlpha(element.fill, element.fillOpacity ?? 1) : undefined,
+  }),
+  dash: getDash(element.strokeStyle, element.strokeWidth),
+  lineCap: getLineCap(element),
+  opacity: element.opacity ?? 1,
+});
@@ -0,0 +1,20 @@
+const USER_COLORS = [
+  '#ef4444', // red-500
+  '#f97316', // orange-500
+  '#eab308', // amber-500
+  '#22c55e', // green-500
+  '#14b8a6', // teal-500
+  '#06b6d4', // cyan-500
+  '#6366f1', // indigo-500
+  '#a855f7', // violet-500
+  '#ec4899', // pink-500
+];
+
+// Stable color per user so everyone sees the same color for the same person
+export const getUserColor = (userId = '') => {
+  let hash = 0;
+  for (let i = 0; i < userId.length; i++) {
+    hash = (hash * 31 + userId.charCodeAt(i)) | 0;
+  }
+  return USER_COLORS[Math.abs(hash) % USER_COLORS.length];
+};
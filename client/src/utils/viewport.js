@@ -0,0 +1,62 @@
+// Pan/zoom math. A viewport { x, y, scale } is the stage position and scale:
+// screen = world * scale + offset, so elements always keep world coordinates.
+
+export const MIN_SCALE = 0.1;
+export const MAX_SCALE = 8;
+
+export const DEFAULT_VIEWPORT = { x: 0, y: 0, scale: 1 };
+
+export const clampScale = (scale) =>
+  Math.min(MAX_SCALE, Math.max(MIN_SCALE, scale));
+
+export const toWorld = (point, viewport) => ({
+  x: (point.x - viewport.x) / viewport.scale,
+  y: (point.y - viewport.y) / viewport.scale,
+});
+
+export const toScreen = (point, viewport) => ({
+  x: point.x * viewport.scale + viewport.x,
+  y: point.y * viewport.scale + viewport.y,
+});
+
+// Change the scale while keeping the world point under `screenPoint` in place
+export const zoomAt = (viewport, screenPoint, scale) => {
+  const nextScale = clampScale(scale);
+  const world = toWorld(screenPoint, viewport);
+  return {
+    x: screenPoint.x - world.x * nextScale,
+    y: screenPoint.y - world.y * nextScale,
+    scale: nextScale,
+  };
+};
+
+// Viewport that shows `bounds` centered in a screen of the given size.
+// Zoom-to-fit never zooms in past 100%; following another user's view does
+export const fitBounds = (bounds, size, { padding = 40, maxScale = 1 } = {}) => {
+  const scale = clampScale(
+    Math.min(
+      (size.width - padding * 2) / bounds.width,
+      (size.height - padding * 2) / bounds.height,
+      maxScale
+    )
+  );
+  return {
+    x: size.width / 2 - (bounds.x + bounds.width / 2) * scale,
+    y: size.height / 2 - (bounds.y + bounds.height / 2) * scale,
+    scale,
+  };
+};
+
+// Viewport that centers a world point without changing the zoom
+export const centerOn = (point, viewport, size) => ({
+  ...viewport,
+  x: size.width / 2 - point.x * viewport.scale,
+  y: size.height / 2 - point.y * viewport.scale,
+});
+
+// World-space rectangle currently visible on screen
+export const getVisibleBounds = (viewport, size) => ({
+  ...toWorld({ x: 0, y: 0 }, viewport),
+  width: size.width / viewport.scale,
+  height: size.height / viewport.scale,
+});
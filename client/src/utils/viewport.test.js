@@ -0,0 +1,64 @@
+import {
+  MAX_SCALE,
+  MIN_SCALE,
+  centerOn,
+  clampScale,
+  fitBounds,
+  getVisibleBounds,
+  toScreen,
+  toWorld,
+  zoomAt,
+} from './viewport';
+
+const viewport = { x: 100, y: -50, scale: 2 };
+const size = { width: 800, height: 600 };
+
+describe('toWorld and toScreen', () => {
+  it('convert between screen and world coordinates', () => {
+    expect(toWorld({ x: 300, y: 150 }, viewport)).toEqual({ x: 100, y: 100 });
+    expect(toScreen({ x: 100, y: 100 }, viewport)).toEqual({ x: 300, y: 150 });
+  });
+});
+
+describe('zoomAt', () => {
+  it('keeps the world point under the cursor in place', () => {
+    const cursor = { x: 250, y: 75 };
+    const before = toWorld(cursor, viewport);
+    const zoomed = zoomAt(viewport, cursor, 5);
+
+    expect(zoomed.scale).toBe(5);
+    expect(toWorld(cursor, zoomed)).toEqual(before);
+  });
+
+  it('stays within the scale limits', () => {
+    expect(clampScale(100)).toBe(MAX_SCALE);
+    expect(clampScale(0)).toBe(MIN_SCALE);
+    expect(zoomAt(viewport, { x: 0, y: 0 }, 0.001).scale).toBe(MIN_SCALE);
+  });
+});
+
+describe('fitBounds', () => {
+  it('centers the bounds, zooming out to fit but not in past 100%', () => {
+    const small = fitBounds({ x: 0, y: 0, width: 100, height: 100 }, size);
+    expect(small).toEqual({ x: 350, y: 250, scale: 1 });
+
+    const large = fitBounds({ x: 0, y: 0, width: 1440, height: 260 }, size);
+    expect(large.scale).toBe(0.5);
+    expect(toScreen({ x: 720, y: 130 }, large)).toEqual({ x: 400, y: 300 });
+  });
+
+  it('zooms in up to maxScale when asked', () => {
+    const bounds = { x: 0, y: 0, width: 100, height: 100 };
+    expect(fitBounds(bounds, size, { padding: 0, maxScale: 4 }).scale).toBe(4);
+  });
+});
+
+describe('centerOn and getVisibleBounds', () => {
+  it('center a world point and report the visible world area', () => {
+    const centered = centerOn({ x: 100, y: 100 }, viewport, size);
+    expect(centered.scale).toBe(2);
+    expect(toScreen({ x: 100, y: 100 }, centered)).toEqual({ x: 400, y: 300 });
+
+    expect(getVisibleBounds(centered, size)).toEqual({ x: -100, y: -50, width: 400, height: 300 });
+  });
+});
@@ -0,0 +1,154 @@
+const express = require('express');
+const roomManager = require('./room-manager');
+const { EVENTS, ROOM_CONFIG } = require('./constants');
+const { migrateBoard, createBoardDocument, getVisibleElements } = require('./board-schema');
+const { renderBoardPng } = require('./snapshot');
+const { detectImageType, isImageId } = require('./images');
+
+// Boards are plain JSON, but long freehand strokes add up
+const BOARD_BODY_LIMIT = '5mb';
+const MIN_SNAPSHOT_SCALE = 0.1;
+const MAX_SNAPSHOT_SCALE = 4;
+// PNG snapshots are rendered on the event loop that serves the rooms, so
+// after each one the next has to wait at least as long as it took
+const MIN_SNAPSHOT_INTERVAL = 1000;
+
+module.exports = (io) => {
+  const router = express.Router();
+  let nextSnapshotAt = 0;
+
+  // 404 for rooms that are neither active nor stored
+  const requireRoom = (req, res, next) => {
+    if (!roomManager.hasRoom(req.params.roomId)) {
+      res.status(404).json({ error: `Room ${req.params.roomId} not found` });
+      return;
+    }
+    next();
+  };
+
+  router.get('/rooms', (req, res) => {
+    res.json({ rooms: roomManager.listRooms() });
+  });
+
+  router.get('/rooms/:roomId/elements', requireRoom, (req, res) => {
+    const { roomId } = req.params;
+    res.json({ roomId, elements: roomManager.getElements(roomId) });
+  });
+
+  // ?format=json (default) returns a board document; ?format=png an image,
+  // optionally with ?background=%23rrggbb and ?scale=2
+  router.get('/rooms/:roomId/snapshot', requireRoom, (req, res) => {
+    const { roomId } = req.params;
+    const { format = 'json', background } = req.query;
+    const elements = roomManager.getElements(roomId);
+
+    if (format === 'json') {
+      res.json(createBoardDocument(elements, {}, roomManager.getLayers(roomId)));
+    } else if (format === 'png') {
+      const scale = req.query.scale === undefined ? 1 : Number(req.query.scale);
+      if (!Number.isFinite(scale) || scale < MIN_SNAPSHOT_SCALE) {
+        res.status(400).json({ error: `scale must be a number of at least ${MIN_SNAPSHOT_SCALE}` });
+        return;
+      }
+      const now = Date.now();
+      if (now < nextSnapshotAt) {
+        res.set('Retry-After', String(Math.ceil((nextSnapshotAt - now) / 1000)));
+        res.status(429).json({ error: 'Too many snapshot requests, try again shortly' });
+        return;
+      }
+      const visible = getVisibleElements(elements, roomManager.getLayers(roomId));
+      const png = renderBoardPng(visible, {
+        background,
+        scale: Math.min(scale, MAX_SNAPSHOT_SCALE)
+      });
+      nextSnapshotAt = Date.now() + Math.max(MIN_SNAPSHOT_INTERVAL, Date.now() - now);
+      res.type('png').send(png);
+    } else {
+      res.status(400).json({ error: `Unsupported snapshot format: ${format}` });
+    }
+  });
+
+  // Replace a room's elements with a board document (any supported version)
+  router.put('/rooms/:roomId/board', express.json({ limit: BOARD_BODY_LIMIT }), (req, res) => {
+    const { roomId } = req.params;
+    let board;
+    try {
+      board = migrateBoard(req.body);
+    } catch (err) {
+      res.status(400).json({ error: err.message });
+      return;
+    }
+
+    roomManager.setElements(roomId, board.elements);
+    roomManager.setLayers(roomId, board.layers);
+    io.to(roomId).emit('board-state', board.elements);
+    io.to(roomId).emit(EVENTS.LAYERS_UPDATE, { layers: board.layers });
+    console.log(`Loaded board with ${board.elements.length} elements into room ${roomId}`);
+    res.json({ board });
+  });
+
+  // Image elements reference uploads by URL, so peers and late joiners load
+  // them from here. The body is the raw image (PNG, JPEG, GIF or WebP)
+  router.post(
+    '/rooms/:roomId/images',
+    requireRoom,
+    express.raw({ type: 'image/*', limit: ROOM_CONFIG.MAX_IMAGE_BYTES }),
+    (req, res) => {
+      const { roomId } = req.params;
+      const extension = Buffer.isBuffer(req.body) && detectImageType(req.body);
+      if (!extension) {
+        res.status(415).json({ error: 'Only PNG, JPEG, GIF and WebP images are accepted' });
+        return;
+      }
+
+      const imageId = roomManager.addImage(roomId, req.body, extension);
+      if (!imageId) {
+        res.status(413).json({ error: `Room ${roomId} has no image storage left` });
+        return;
+      }
+      res.status(201).json({
+        imageId,
+        url: `/api/rooms/${encodeURIComponent(roomId)}/images/${imageId}`
+      });
+    }
+  );
+
+  router.get('/rooms/:roomId/images/:imageId', (req, res) => {
+    const { roomId, imageId } = req.params;
+    const image = isImageId(imageId) && roomManager.getImage(roomId, imageId);
+    if (!image) {
+      res.status(404).json({ error: `Image ${imageId} not found` });
+      return;
+    }
+    // Uploads never change, so browsers may keep them
+    res.set('Cache-Control', 'public, max-age=31536000, immutable');
+    res.type(imageId.split('.').pop()).send(image);
+  });
+
+  // Clear the board but keep the room (chat, capacity)
+  router.delete('/rooms/:roomId/elements', requireRoom, (req, res) => {
+    const { roomId } = req.params;
+    roomManager.setElements(roomId, []);
+    io.to(roomId).emit(EVENTS.CLEAR_BOARD);
+    console.log(`Room ${roomId} cleared over HTTP`);
+    res.status(204).end();
+  });
+
+  // Drop the stored board, chat and settings; connected users keep an empty room
+  router.delete('/rooms/:roomId', requireRoom, (req, res) => {
+    const { roomId } = req.params;
+    roomManager.deleteRoom(roomId);
+    io.to(roomId).emit(EVENTS.CLEAR_BOARD);
+    io.to(roomId).emit(EVENTS.LAYERS_UPDATE, { layers: [] });
+    io.to(roomId).emit(EVENTS.MESSAGE_HISTORY, []);
+    console.log(`Room ${roomId} deleted over HTTP`);
+    res.status(204).end();
+  });
+
+  // Malformed or oversized JSON bodies
+  router.use((err, req, res, next) => {
+    res.status(err.status || 500).json({ error: err.message });
+  });
+
+  return router;
+};
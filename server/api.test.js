@@ -0,0 +1,43 @@
+process.env.STORAGE_DRIVER = 'memory';
+
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const express = require('express');
+const roomManager = require('./room-manager');
+const createApi = require('./api');
+
+let server;
+let baseUrl;
+
+before(async () => {
+  const app = express();
+  app.use('/api', createApi({ to: () => ({ emit: () => {} }) }));
+  server = app.listen(0);
+  await new Promise(resolve => server.once('listening', resolve));
+  baseUrl = `http://127.0.0.1:${server.address().port}/api`;
+
+  roomManager.addUser('api-room', { id: 'u1', name: 'Ann' });
+  roomManager.addElement('api-room', { id: 'l', type: 'line', points: [0, 0, 10, 10] });
+});
+
+after(() => server.close());
+
+const snapshot = (query) => fetch(`${baseUrl}/rooms/api-room/snapshot?format=png&${query}`);
+
+test('rejects PNG snapshots scaled below the minimum or by something other than a number', async () => {
+  for (const scale of ['0', '-2', '0.01', 'abc', '']) {
+    const res = await snapshot(`scale=${scale}`);
+    assert.equal(res.status, 400, `scale=${scale}`);
+    assert.match((await res.json()).error, /scale must be a number of at least 0.1/);
+  }
+});
+
+test('renders a PNG within the scale bounds, then throttles', async () => {
+  const res = await snapshot('scale=0.5');
+  assert.equal(res.status, 200);
+  assert.equal(res.headers.get('content-type'), 'image/png');
+
+  const again = await snapshot('scale=100');
+  assert.equal(again.status, 429);
+  assert.ok(Number(again.headers.get('retry-after')) >= 1);
+});
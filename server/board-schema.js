@@ -0,0 +1,163 @@
+const { SHAPES } = require('./constants');
+
+/*
+ * Whole-board JSON documents, used for "Save board"/"Open board" and for
+ * loading templates or backups into a room:
+ *   {
+ *     format: 'sketchsphere-board',
+ *     version: BOARD_SCHEMA_VERSION,
+ *     canvas: { color },
+ *     grid: { visible, size },
+ *     layers: [{ id, name, visible, locked }],   (bottom to top)
+ *     elements: [...]
+ *   }
+ * Older documents are upgraded one version at a time through MIGRATIONS.
+ */
+const BOARD_FORMAT = 'sketchsphere-board';
+const BOARD_SCHEMA_VERSION = 2;
+
+const DEFAULT_SETTINGS = {
+  canvas: { color: '#ffffff' },
+  grid: { visible: false, size: 24 }
+};
+
+// Squares are produced by shape recognition and have no SHAPES entry
+const ELEMENT_TYPES = [...Object.values(SHAPES), 'square'];
+
+// MIGRATIONS[n] turns a version n document into a version n + 1 document
+const MIGRATIONS = {
+  // Version 0 is the ad-hoc format: a bare element array or a stored room file
+  0: (doc) => ({
+    format: BOARD_FORMAT,
+    version: 1,
+    ...DEFAULT_SETTINGS,
+    elements: (Array.isArray(doc) ? doc : doc.elements || []).map(element => ({
+      ...element,
+      id: String(element.id)
+    }))
+  }),
+  // Version 2 adds layers; an empty list means the single default layer
+  1: (doc) => ({ ...doc, version: 2, layers: [] })
+};
+
+const getVersion = (doc) => {
+  if (Array.isArray(doc) || doc.version === undefined) return 0;
+  if (!Number.isInteger(doc.version) || doc.version < 0) {
+    throw new Error(`Invalid board version: ${doc.version}`);
+  }
+  return doc.version;
+};
+
+const validateElement = (element, index) => {
+  if (!element || typeof element !== 'object' || Array.isArray(element)) {
+    throw new Error(`Element ${index} is not an object`);
+  }
+  if (typeof element.id !== 'string' || !element.id) {
+    throw new Error(`Element ${index} has no id`);
+  }
+  if (!ELEMENT_TYPES.includes(element.type)) {
+    throw new Error(`Element ${index} has unknown type "${element.type}"`);
+  }
+};
+
+// Checked copy of a layer list (from a document or a client); throws on bad input
+const normalizeLayers = (layers) => {
+  if (!Array.isArray(layers)) {
+    throw new Error('Layers must be a list');
+  }
+  const seen = new Set();
+  return layers.map((layer, index) => {
+    if (!layer || typeof layer.id !== 'string' || !layer.id) {
+      throw new Error(`Layer ${index} has no id`);
+    }
+    if (seen.has(layer.id)) {
+      throw new Error(`Duplicate layer id "${layer.id}"`);
+    }
+    seen.add(layer.id);
+    return {
+      id: layer.id,
+      name: String(layer.name || `Layer ${index + 1}`).slice(0, 100),
+      visible: layer.visible !== false,
+      locked: Boolean(layer.locked)
+    };
+  });
+};
+
+// Like the client: elements hidden or locked themselves or through their
+// layer can't be edited. Unknown layer ids mean the bottom layer
+const isElementEditable = (element, layers) => {
+  const layer = layers.find(l => l.id === element.layerId) || layers[0];
+  return !element.hidden && !element.locked && (!layer || (layer.visible && !layer.locked));
+};
+
+// Elements as the client draws them: hidden ones left out, layers bottom to
+// top, board order within a layer. Unknown layer ids mean the bottom layer
+const getVisibleElements = (elements, layers) => {
+  const rankOf = (element) => Math.max(0, layers.findIndex(layer => layer.id === element.layerId));
+  return elements
+    .map((element, index) => ({ element, index, rank: rankOf(element) }))
+    .filter(({ element, rank }) => !element.hidden && (layers.length === 0 || layers[rank].visible))
+    .sort((a, b) => a.rank - b.rank || a.index - b.index)
+    .map(({ element }) => element);
+};
+
+const createBoardDocument = (elements, settings = {}, layers = []) => ({
+  format: BOARD_FORMAT,
+  version: BOARD_SCHEMA_VERSION,
+  savedAt: new Date().toISOString(),
+  canvas: { ...DEFAULT_SETTINGS.canvas, ...settings.canvas },
+  grid: { ...DEFAULT_SETTINGS.grid, ...settings.grid },
+  layers,
+  elements
+});
+
+// Upgrade any supported document to the current version; throws on bad input
+const migrateBoard = (doc) => {
+  if (!doc || typeof doc !== 'object') {
+    throw new Error('Board must be a JSON object or element array');
+  }
+  if (!Array.isArray(doc) && doc.format !== undefined && doc.format !== BOARD_FORMAT) {
+    throw new Error(`Unsupported board format: ${doc.format}`);
+  }
+
+  let version = getVersion(doc);
+  if (version > BOARD_SCHEMA_VERSION) {
+    throw new Error(`Board version ${version} is newer than this server supports`);
+  }
+  let board = doc;
+  while (version < BOARD_SCHEMA_VERSION) {
+    board = MIGRATIONS[version](board);
+    version = board.version;
+  }
+
+  if (!Array.isArray(board.elements)) {
+    throw new Error('Board has no element list');
+  }
+  const seen = new Set();
+  board.elements.forEach((element, index) => {
+    validateElement(element, index);
+    if (seen.has(element.id)) {
+      throw new Error(`Duplicate element id "${element.id}"`);
+    }
+    seen.add(element.id);
+  });
+
+  return {
+    format: BOARD_FORMAT,
+    version: BOARD_SCHEMA_VERSION,
+    canvas: { ...DEFAULT_SETTINGS.canvas, ...board.canvas },
+    grid: { ...DEFAULT_SETTINGS.grid, ...board.grid },
+    layers: normalizeLayers(board.layers || []),
+    elements: board.elements
+  };
+};
+
+module.exports = {
+  BOARD_FORMAT,
+  BOARD_SCHEMA_VERSION,
+  createBoardDocument,
+  migrateBoard,
+  normalizeLayers,
+  getVisibleElements,
+  isElementEditable
+};
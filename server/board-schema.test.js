@@ -0,0 +1,128 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  BOARD_FORMAT,
+  BOARD_SCHEMA_VERSION,
+  migrateBoard,
+  normalizeLayers,
+  getVisibleElements,
+  isElementEditable
+} = require('./board-schema');
+
+const line = (id) => ({ id, type: 'line', points: [0, 0, 10, 10] });
+
+test('upgrades a bare element array (version 0)', () => {
+  const board = migrateBoard([line(1), line('b')]);
+  assert.equal(board.format, BOARD_FORMAT);
+  assert.equal(board.version, BOARD_SCHEMA_VERSION);
+  assert.deepEqual(board.elements.map(el => el.id), ['1', 'b']);
+  assert.deepEqual(board.layers, []);
+  assert.deepEqual(board.canvas, { color: '#ffffff' });
+  assert.deepEqual(board.grid, { visible: false, size: 24 });
+});
+
+test('upgrades a stored room file (version 0)', () => {
+  const board = migrateBoard({ elements: [line(7)], capacity: 4 });
+  assert.equal(board.version, BOARD_SCHEMA_VERSION);
+  assert.deepEqual(board.elements.map(el => el.id), ['7']);
+  assert.equal(board.capacity, undefined);
+});
+
+test('upgrades version 1 to the default layer and keeps its settings', () => {
+  const board = migrateBoard({
+    format: BOARD_FORMAT,
+    version: 1,
+    canvas: { color: '#000000' },
+    grid: { visible: true, size: 48 },
+    elements: [line('a')]
+  });
+  assert.equal(board.version, BOARD_SCHEMA_VERSION);
+  assert.deepEqual(board.layers, []);
+  assert.deepEqual(board.canvas, { color: '#000000' });
+  assert.deepEqual(board.grid, { visible: true, size: 48 });
+});
+
+test('keeps and normalizes the layers of the current version', () => {
+  const board = migrateBoard({
+    format: BOARD_FORMAT,
+    version: BOARD_SCHEMA_VERSION,
+    layers: [{ id: 'l1' }, { id: 'l2', name: 'Notes', visible: false, locked: 1 }],
+    elements: [{ ...line('a'), layerId: 'l2' }]
+  });
+  assert.deepEqual(board.layers, [
+    { id: 'l1', name: 'Layer 1', visible: true, locked: false },
+    { id: 'l2', name: 'Notes', visible: false, locked: true }
+  ]);
+  assert.equal(board.elements[0].layerId, 'l2');
+});
+
+test('keeps the settings of the current version and fills in missing ones', () => {
+  const board = migrateBoard({
+    format: BOARD_FORMAT,
+    version: BOARD_SCHEMA_VERSION,
+    canvas: { color: '#000000' },
+    grid: { size: 48 },
+    elements: [line('a')]
+  });
+  assert.deepEqual(board.canvas, { color: '#000000' });
+  assert.deepEqual(board.grid, { visible: false, size: 48 });
+  assert.deepEqual(board.elements, [line('a')]);
+});
+
+test('rejects documents it cannot read', () => {
+  assert.throws(() => migrateBoard(null), /JSON object or element array/);
+  assert.throws(() => migrateBoard({ format: 'other', elements: [] }), /Unsupported board format/);
+  assert.throws(() => migrateBoard({ format: BOARD_FORMAT, version: -1 }), /Invalid board version/);
+  assert.throws(
+    () => migrateBoard({ format: BOARD_FORMAT, version: BOARD_SCHEMA_VERSION + 1, elements: [] }),
+    /newer than this server supports/
+  );
+  assert.throws(() => migrateBoard({ format: BOARD_FORMAT, version: 1 }), /no element list/);
+});
+
+test('rejects invalid elements', () => {
+  const current = (elements) => ({ version: BOARD_SCHEMA_VERSION, elements });
+  assert.throws(() => migrateBoard([{ id: 'a', type: 'blob' }]), /unknown type "blob"/);
+  assert.throws(() => migrateBoard([line('a'), line('a')]), /Duplicate element id "a"/);
+  assert.throws(() => migrateBoard(current(['a'])), /Element 0 is not an object/);
+  assert.throws(() => migrateBoard(current([{ type: 'line' }])), /Element 0 has no id/);
+});
+
+test('normalizeLayers checks ids and fills in defaults', () => {
+  assert.deepEqual(normalizeLayers([]), []);
+  assert.deepEqual(
+    normalizeLayers([{ id: 'l1', name: 'x'.repeat(150), visible: 0, extra: true }]),
+    [{ id: 'l1', name: 'x'.repeat(100), visible: true, locked: false }]
+  );
+  assert.throws(() => normalizeLayers(null), /Layers must be a list/);
+  assert.throws(() => normalizeLayers([{ name: 'No id' }]), /Layer 0 has no id/);
+  assert.throws(() => normalizeLayers([null]), /Layer 0 has no id/);
+  assert.throws(() => normalizeLayers([{ id: 'x' }, { id: 'x' }]), /Duplicate layer id "x"/);
+  assert.throws(
+    () => migrateBoard({ version: BOARD_SCHEMA_VERSION, layers: [{ id: 'x' }, { id: 'x' }], elements: [] }),
+    /Duplicate layer id "x"/
+  );
+});
+
+test('getVisibleElements orders by layer and leaves hidden ones out', () => {
+  const layers = normalizeLayers([{ id: 'bottom' }, { id: 'off', visible: false }, { id: 'top' }]);
+  const elements = [
+    { ...line('a'), layerId: 'top' },
+    { ...line('b'), layerId: 'off' },
+    { ...line('c'), layerId: 'bottom' },
+    { ...line('d'), layerId: 'gone' },
+    { ...line('e'), layerId: 'bottom', hidden: true }
+  ];
+  assert.deepEqual(getVisibleElements(elements, layers).map(el => el.id), ['c', 'd', 'a']);
+  assert.deepEqual(getVisibleElements(elements, []).map(el => el.id), ['a', 'b', 'c', 'd']);
+});
+
+test('isElementEditable follows the element and its layer', () => {
+  const layers = normalizeLayers([{ id: 'open' }, { id: 'shut', locked: true }]);
+  assert.equal(isElementEditable({ ...line('a'), layerId: 'open' }, layers), true);
+  assert.equal(isElementEditable({ ...line('a'), layerId: 'shut' }, layers), false);
+  assert.equal(isElementEditable({ ...line('a'), layerId: 'gone' }, layers), true);
+  assert.equal(isElementEditable({ ...line('a'), locked: true }, layers), false);
+  assert.equal(isElementEditable({ ...line('a'), hidden: true }, []), false);
+  assert.equal(isElementEditable(line('a'), []), true);
+});
@@ -1,3 +1,18 @@
+const SHAPES = {
+  CIRCLE: 'circle',
+  RECTANGLE: 'rectangle',
+  TRIANGLE: 'triangle',
+  LINE: 'line',
+  FREEHAND: 'freehand',
+  ERASER: 'eraser',
+  TEXT: 'text',
+  HEXAGON: 'hexagon',
+  PENTAGON: 'pentagon',
+  IMAGE: 'image',
+  ARROW: 'arrow',
+  STICKY: 'sticky'
+};
+
 const EVENTS = {
   // Room events
   JOIN_ROOM: 'join-room',
@@ -11,15 +26,45 @@ const EVENTS = {
   DRAW_MOVE: 'draw-move',
   DRAW_END: 'draw-end',
   SHAPE_RECOGNIZED: 'shape-recognized',
+  SHAPE_UPDATE: 'shape-update',
+  ELEMENTS_ADD: 'elements-add',
+  ELEMENTS_DELETE: 'elements-delete',
+  ELEMENTS_UPDATE: 'elements-update',
+  NOTE_VOTE: 'note-vote',
+  LAYERS_UPDATE: 'layers-update',
   CLEAR_BOARD: 'clear-board',
 
   // Cursor events
   CURSOR_MOVE: 'cursor-move',
   CURSOR_LEAVE: 'cursor-leave',
 
+  // Viewport events (minimap and follow mode)
+  VIEWPORT_UPDATE: 'viewport-update',
+
+  // Video call signaling
+  CALL_JOIN: 'call-join',
+  CALL_LEAVE: 'call-leave',
+  CALL_PARTICIPANTS: 'call-participants',
+  CALL_SIGNAL: 'call-signal',
+  CALL_MEDIA_STATE: 'call-media-state',
+
   // Chat events
   MESSAGE_SEND: 'message-send',
-  MESSAGE_RECEIVE: 'message-receive'
+  MESSAGE_RECEIVE: 'message-receive',
+  MESSAGE_HISTORY: 'message-history'
+};
+
+const ROOM_CONFIG = {
+  // Largest capacity a room can be opened with
+  MAX_CAPACITY: 100,
+  // Default cap on simultaneous users; rooms can override it with setCapacity
+  MAX_USERS: Number(process.env.MAX_USERS_PER_ROOM) || 10,
+  // Chat backlog kept per room and the longest message accepted
+  MAX_MESSAGES: 200,
+  MAX_MESSAGE_LENGTH: 1000,
+  // Largest accepted image upload and the total image storage per room
+  MAX_IMAGE_BYTES: Number(process.env.MAX_IMAGE_BYTES) || 5 * 1024 * 1024,
+  MAX_ROOM_IMAGE_BYTES: Number(process.env.MAX_ROOM_IMAGE_BYTES) || 50 * 1024 * 1024
 };
 
-module.exports = { EVENTS }; 
\ No newline at end of file
+module.exports = { SHAPES, EVENTS, ROOM_CONFIG }; 
\ No newline at end of file
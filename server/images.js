@@ -0,0 +1,35 @@
+const crypto = require('crypto');
+
+// Raster formats accepted for uploads, recognized by their leading bytes.
+// SVG is left out on purpose: served from our origin it could run scripts
+const IMAGE_TYPES = [
+  { extension: 'png', signature: [[0, '89504e47']] },
+  { extension: 'jpg', signature: [[0, 'ffd8ff']] },
+  { extension: 'gif', signature: [[0, '47494638']] },
+  { extension: 'webp', signature: [[0, '52494646'], [8, '57454250']] } // RIFF....WEBP
+];
+
+const IMAGE_ID_PATTERN = /^[a-z0-9]+-[a-f0-9]{12}\.(png|jpg|gif|webp)$/;
+
+// File extension of an uploaded image, or null when it is not one we accept
+const detectImageType = (buffer) => {
+  const type = IMAGE_TYPES.find(({ signature }) =>
+    signature.every(([offset, hex]) =>
+      buffer.length >= offset + hex.length / 2 &&
+      buffer.toString('hex', offset, offset + hex.length / 2) === hex
+    )
+  );
+  return type ? type.extension : null;
+};
+
+const createImageId = (extension) =>
+  `${Date.now().toString(36)}-${crypto.randomBytes(6).toString('hex')}.${extension}`;
+
+// Ids from URLs are checked before they get anywhere near the file system
+const isImageId = (imageId) => IMAGE_ID_PATTERN.test(imageId);
+
+module.exports = {
+  detectImageType,
+  createImageId,
+  isImageId
+};
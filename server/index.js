@@ -1,7 +1,9 @@
 const express = require('express');
 const http = require('http');
 const socketIo = require('socket.io');
+const cors = require('cors');
 const socketHandler = require('./socket-handler');
+const createApi = require('./api');
 const roomManager = require('./room-manager');
 
 const PORT = process.env.PORT || 3001;
@@ -14,6 +16,9 @@ const io = socketIo(server, {
   }
 });
 
+app.use(cors());
+app.use('/api', createApi(io));
+
 // Handle socket connections
 io.on('connection', (socket) => {
   console.log(`New connection: ${socket.id}`);
@@ -23,4 +28,12 @@ io.on('connection', (socket) => {
 // Start server
 server.listen(PORT, () => {
   console.log(`Server running on port ${PORT}`);
-});
\ No newline at end of file
+});
+
+// Persist pending board changes before shutting down
+const shutdown = () => {
+  roomManager.flush();
+  process.exit(0);
+};
+process.on('SIGINT', shutdown);
+process.on('SIGTERM', shutdown);
\ No newline at end of file
@@ -0,0 +1,55 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const zlib = require('zlib');
+const { encodePng } = require('./png');
+
+// Chunks of a PNG file as [{ type, data, crc }]
+const readChunks = (png) => {
+  const chunks = [];
+  for (let offset = 8; offset < png.length;) {
+    const length = png.readUInt32BE(offset);
+    chunks.push({
+      type: png.toString('ascii', offset + 4, offset + 8),
+      body: png.subarray(offset + 4, offset + 8 + length),
+      data: png.subarray(offset + 8, offset + 8 + length),
+      crc: png.readUInt32BE(offset + 8 + length)
+    });
+    offset += 12 + length;
+  }
+  return chunks;
+};
+
+// Reference CRC-32, bit by bit
+const crc32 = (buffer) => {
+  let crc = 0xffffffff;
+  for (const byte of buffer) {
+    crc ^= byte;
+    for (let k = 0; k < 8; k++) crc = crc & 1 ? 0xedb88320 ^ (crc >>> 1) : crc >>> 1;
+  }
+  return (crc ^ 0xffffffff) >>> 0;
+};
+
+test('writes a valid RGBA PNG', () => {
+  const pixels = Buffer.from([
+    255, 0, 0, 255, 0, 255, 0, 128,
+    0, 0, 255, 255, 10, 20, 30, 0
+  ]);
+  const png = encodePng(2, 2, pixels);
+
+  assert.deepEqual([...png.subarray(0, 8)], [0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]);
+  const chunks = readChunks(png);
+  assert.deepEqual(chunks.map(c => c.type), ['IHDR', 'IDAT', 'IEND']);
+  chunks.forEach(chunk => assert.equal(chunk.crc, crc32(chunk.body)));
+
+  const [header, data] = chunks;
+  assert.equal(header.data.readUInt32BE(0), 2);
+  assert.equal(header.data.readUInt32BE(4), 2);
+  assert.deepEqual([...header.data.subarray(8)], [8, 6, 0, 0, 0]);
+
+  // Each scanline is filter type 0 followed by the row's pixels
+  const raw = zlib.inflateSync(data.data);
+  assert.deepEqual(raw, Buffer.concat([
+    Buffer.from([0]), pixels.subarray(0, 8),
+    Buffer.from([0]), pixels.subarray(8)
+  ]));
+});
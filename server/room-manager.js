@@ -1,32 +1,158 @@
+const { createStorage } = require('./storage');
+const { SHAPES, ROOM_CONFIG } = require('./constants');
+const { createImageId } = require('./images');
+const { isElementEditable } = require('./board-schema');
+
+const storage = createStorage();
 const rooms = new Map();
+const saveTimers = new Map();
+
+// Writes are throttled so a burst of drawing events results in one save
+const SAVE_DELAY = 500;
+
+const getOrLoadRoom = (roomId) => {
+  if (!rooms.has(roomId)) {
+    const saved = storage.load(roomId);
+    rooms.set(roomId, {
+      users: [],
+      elements: saved?.elements || [],
+      // Bottom to top; empty means the client's single default layer
+      layers: saved?.layers || [],
+      messages: saved?.messages || [],
+      capacity: saved?.capacity ?? null,
+      // Users currently in the video call; never persisted
+      callParticipants: []
+    });
+  }
+  return rooms.get(roomId);
+};
+
+const saveRoom = (roomId) => {
+  clearTimeout(saveTimers.get(roomId));
+  saveTimers.delete(roomId);
+
+  const room = rooms.get(roomId);
+  if (!room) return;
+  try {
+    storage.save(roomId, {
+      elements: room.elements,
+      layers: room.layers,
+      messages: room.messages,
+      capacity: room.capacity,
+      updatedAt: Date.now()
+    });
+  } catch (err) {
+    console.error(`Failed to save room ${roomId}:`, err.message);
+  }
+};
+
+const scheduleSave = (roomId) => {
+  if (saveTimers.has(roomId)) return;
+  saveTimers.set(roomId, setTimeout(() => saveRoom(roomId), SAVE_DELAY));
+};
+
+const removeUserFromRoom = (roomId, userId) => {
+  const room = rooms.get(roomId);
+  if (!room || !room.users.some(user => user.id === userId)) return false;
+  room.users = room.users.filter(user => user.id !== userId);
+  room.callParticipants = room.callParticipants.filter(id => id !== userId);
+  if (room.users.length === 0) {
+    // Board stays on disk; it is reloaded when someone rejoins
+    saveRoom(roomId);
+    rooms.delete(roomId);
+  }
+  return true;
+};
+
+const getCapacity = (roomId) => {
+  const room = rooms.get(roomId) || storage.load(roomId);
+  return room?.capacity ?? ROOM_CONFIG.MAX_USERS;
+};
 
 module.exports = {
   addUser: (roomId, user) => {
-    if (!rooms.has(roomId)) {
-      rooms.set(roomId, {
-        users: [],
-        elements: []
-      });
-    }
-    const room = rooms.get(roomId);
+    const room = getOrLoadRoom(roomId);
     if (!room.users.some(u => u.id === user.id)) {
       room.users.push(user);
     }
   },
 
+  // Returns true when the user was in the room
+  removeUserFromRoom,
+
+  // Removes the user everywhere; returns the rooms that still have people to notify
   removeUser: (userId) => {
     const userRooms = [];
-    rooms.forEach((room, roomId) => {
-      room.users = room.users.filter(user => user.id !== userId);
-      if (room.users.length === 0) {
-        rooms.delete(roomId);
-      } else {
+    [...rooms.keys()].forEach((roomId) => {
+      if (removeUserFromRoom(roomId, userId) && rooms.has(roomId)) {
         userRooms.push(roomId);
       }
     });
     return userRooms;
   },
 
+  getCapacity,
+
+  // Only a room being opened (neither active nor stored) takes a capacity,
+  // so nobody can change the cap of a room others are already using.
+  // Returns whether it was applied
+  setCapacity: (roomId, capacity) => {
+    if (!Number.isInteger(capacity) || capacity < 1 || capacity > ROOM_CONFIG.MAX_CAPACITY) {
+      return false;
+    }
+    if (rooms.has(roomId) || storage.load(roomId)) return false;
+    getOrLoadRoom(roomId).capacity = capacity;
+    return true;
+  },
+
+  // Users already in the room may always rejoin (e.g. a socket joining twice)
+  isFull: (roomId, userId) => {
+    if (!rooms.has(roomId)) return getCapacity(roomId) <= 0;
+    const { users } = rooms.get(roomId);
+    if (users.some(u => u.id === userId)) return false;
+    return users.length >= getCapacity(roomId);
+  },
+
+  // Rooms with people in them right now
+  listRooms: () => {
+    return [...rooms.entries()].map(([roomId, room]) => ({
+      roomId,
+      userCount: room.users.length,
+      elementCount: room.elements.length
+    }));
+  },
+
+  // Known rooms: active ones and boards kept in storage
+  hasRoom: (roomId) => rooms.has(roomId) || storage.load(roomId) !== null,
+
+  // Store an uploaded image next to the room's board. Returns the new image
+  // id, or null when it would take the room over its image quota
+  addImage: (roomId, data, extension) => {
+    if (storage.imageBytes(roomId) + data.length > ROOM_CONFIG.MAX_ROOM_IMAGE_BYTES) {
+      return null;
+    }
+    const imageId = createImageId(extension);
+    storage.saveImage(roomId, imageId, data);
+    return imageId;
+  },
+
+  getImage: (roomId, imageId) => storage.loadImage(roomId, imageId),
+
+  // Forget a room's board, chat, settings and images. People still in it
+  // stay, with an empty board
+  deleteRoom: (roomId) => {
+    clearTimeout(saveTimers.get(roomId));
+    saveTimers.delete(roomId);
+    storage.remove(roomId);
+    const room = rooms.get(roomId);
+    if (room) {
+      room.elements = [];
+      room.layers = [];
+      room.messages = [];
+      room.capacity = null;
+    }
+  },
+
   getUsers: (roomId) => {
     return rooms.has(roomId) ? [...rooms.get(roomId).users] : [];
   },
@@ -34,6 +160,7 @@ module.exports = {
   addElement: (roomId, element) => {
     if (rooms.has(roomId)) {
       rooms.get(roomId).elements.push(element);
+      scheduleSave(roomId);
     }
   },
 
@@ -44,16 +171,168 @@ module.exports = {
         ...room.elements.filter(el => !el.temp),
         newElement
       ];
+      scheduleSave(roomId);
+    }
+  },
+
+  // Append a point to an in-progress stroke; strokes are usually the newest element
+  appendPoint: (roomId, elementId, point) => {
+    if (!rooms.has(roomId)) return;
+    const { elements } = rooms.get(roomId);
+    for (let i = elements.length - 1; i >= 0; i--) {
+      if (String(elements[i].id) === String(elementId)) {
+        elements[i].points = [...(elements[i].points || []), point];
+        scheduleSave(roomId);
+        return;
+      }
+    }
+  },
+
+  // Swap an element for a new version with the same id (e.g. a recognized shape)
+  replaceElement: (roomId, element) => {
+    if (!rooms.has(roomId)) return false;
+    const room = rooms.get(roomId);
+    const index = room.elements.findIndex(el => String(el.id) === String(element.id));
+    if (index === -1) return false;
+    room.elements[index] = element;
+    scheduleSave(roomId);
+    return true;
+  },
+
+  // Re-insert elements at their original z-order positions (undo/redo)
+  restoreElements: (roomId, entries) => {
+    if (!rooms.has(roomId)) return;
+    const room = rooms.get(roomId);
+    const ids = entries.map(entry => String(entry.element.id));
+    const elements = room.elements.filter(el => !ids.includes(String(el.id)));
+    [...entries]
+      .sort((a, b) => a.index - b.index)
+      .forEach(({ element, index }) => {
+        const at = Number.isInteger(index) ? Math.min(index, elements.length) : elements.length;
+        elements.splice(at, 0, element);
+      });
+    room.elements = elements;
+    scheduleSave(roomId);
+  },
+
+  deleteElements: (roomId, elementIds) => {
+    if (!rooms.has(roomId)) return;
+    const room = rooms.get(roomId);
+    const ids = elementIds.map(String);
+    room.elements = room.elements.filter(el => !ids.includes(String(el.id)));
+    scheduleSave(roomId);
+  },
+
+  // Merge transformed attributes (position, size, points...) into an element
+  updateElement: (roomId, elementId, attrs) => {
+    if (!rooms.has(roomId)) return null;
+    const room = rooms.get(roomId);
+    const index = room.elements.findIndex(el => String(el.id) === String(elementId));
+    if (index === -1) return null;
+    room.elements[index] = {
+      ...room.elements[index],
+      ...attrs,
+      id: room.elements[index].id
+    };
+    scheduleSave(roomId);
+    return room.elements[index];
+  },
+
+  // Add or take back one user's vote on a sticky note. Votes are toggled
+  // here so simultaneous voters don't overwrite each other; returns the new
+  // list, or null when there is no such note
+  toggleVote: (roomId, elementId, userId) => {
+    if (!rooms.has(roomId)) return null;
+    const room = rooms.get(roomId);
+    const index = room.elements.findIndex(el => String(el.id) === String(elementId));
+    if (index === -1 || room.elements[index].type !== SHAPES.STICKY) return null;
+    const votes = room.elements[index].votes || [];
+    const next = votes.includes(userId)
+      ? votes.filter(id => id !== userId)
+      : [...votes, userId];
+    room.elements[index] = { ...room.elements[index], votes: next };
+    scheduleSave(roomId);
+    return next;
+  },
+
+  // Replace the whole board, e.g. when a saved board is opened; works for
+  // rooms nobody is in too
+  setElements: (roomId, elements) => {
+    const room = getOrLoadRoom(roomId);
+    room.elements = elements;
+    saveRoom(roomId);
+    if (room.users.length === 0) {
+      rooms.delete(roomId);
     }
   },
 
+  // Elements on locked or hidden layers survive; returns the removed ids
   clearElements: (roomId) => {
+    if (!rooms.has(roomId)) return [];
+    const room = rooms.get(roomId);
+    const removed = room.elements.filter(el => isElementEditable(el, room.layers));
+    room.elements = room.elements.filter(el => !removed.includes(el));
+    scheduleSave(roomId);
+    return removed.map(el => el.id);
+  },
+
+  getElements: (roomId) => {
     if (rooms.has(roomId)) {
-      rooms.get(roomId).elements = [];
+      return [...rooms.get(roomId).elements];
     }
+    return storage.load(roomId)?.elements || [];
   },
 
-  getElements: (roomId) => {
-    return rooms.has(roomId) ? [...rooms.get(roomId).elements] : [];
+  getLayers: (roomId) => {
+    if (rooms.has(roomId)) {
+      return [...rooms.get(roomId).layers];
+    }
+    return storage.load(roomId)?.layers || [];
+  },
+
+  setLayers: (roomId, layers) => {
+    const room = getOrLoadRoom(roomId);
+    room.layers = layers;
+    saveRoom(roomId);
+    if (room.users.length === 0) {
+      rooms.delete(roomId);
+    }
+  },
+
+  // Chat backlog is trimmed to the newest ROOM_CONFIG.MAX_MESSAGES
+  addMessage: (roomId, message) => {
+    if (!rooms.has(roomId)) return;
+    const room = rooms.get(roomId);
+    room.messages = [...room.messages, message].slice(-ROOM_CONFIG.MAX_MESSAGES);
+    scheduleSave(roomId);
+  },
+
+  getMessages: (roomId) => {
+    if (rooms.has(roomId)) {
+      return [...rooms.get(roomId).messages];
+    }
+    return storage.load(roomId)?.messages || [];
+  },
+
+  // Adds the user to the room's call; returns who was already in it
+  joinCall: (roomId, userId) => {
+    if (!rooms.has(roomId)) return [];
+    const room = rooms.get(roomId);
+    const others = room.callParticipants.filter(id => id !== userId);
+    room.callParticipants = [...others, userId];
+    return others;
+  },
+
+  leaveCall: (roomId, userId) => {
+    if (!rooms.has(roomId)) return false;
+    const room = rooms.get(roomId);
+    if (!room.callParticipants.includes(userId)) return false;
+    room.callParticipants = room.callParticipants.filter(id => id !== userId);
+    return true;
+  },
+
+  // Write every pending room to storage, e.g. before the process exits
+  flush: () => {
+    [...saveTimers.keys()].forEach(saveRoom);
   }
-};
\ No newline at end of file
+};
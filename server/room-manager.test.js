@@ -0,0 +1,84 @@
+process.env.STORAGE_DRIVER = 'memory';
+
+const { test, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { ROOM_CONFIG } = require('./constants');
+const roomManager = require('./room-manager');
+
+// Saves are throttled; don't keep the process waiting on them
+after(() => roomManager.flush());
+
+const line = (id) => ({ id, type: 'line', points: [0, 0, 10, 10] });
+
+test('adds each user once and drops the room from memory when the last one leaves', () => {
+  roomManager.addUser('users-room', { id: 'u1', name: 'Ann' });
+  roomManager.addUser('users-room', { id: 'u1', name: 'Ann' });
+  roomManager.addUser('users-room', { id: 'u2', name: 'Bob' });
+  assert.deepEqual(roomManager.getUsers('users-room').map(u => u.id), ['u1', 'u2']);
+
+  assert.equal(roomManager.removeUserFromRoom('users-room', 'nobody'), false);
+  assert.equal(roomManager.removeUserFromRoom('users-room', 'u1'), true);
+  assert.deepEqual(roomManager.listRooms().find(r => r.roomId === 'users-room'), {
+    roomId: 'users-room',
+    userCount: 1,
+    elementCount: 0
+  });
+
+  roomManager.removeUserFromRoom('users-room', 'u2');
+  assert.equal(roomManager.listRooms().some(r => r.roomId === 'users-room'), false);
+  assert.deepEqual(roomManager.getUsers('users-room'), []);
+});
+
+test('removeUser leaves every room and reports the ones with people left', () => {
+  roomManager.addUser('left-a', { id: 'u1' });
+  roomManager.addUser('left-a', { id: 'u2' });
+  roomManager.addUser('left-b', { id: 'u1' });
+
+  assert.deepEqual(roomManager.removeUser('u1'), ['left-a']);
+  assert.equal(roomManager.hasRoom('left-b'), true);
+  roomManager.removeUser('u2');
+});
+
+test('keeps the board in storage once everyone has left and reloads it on rejoin', () => {
+  roomManager.addUser('saved-room', { id: 'u1' });
+  roomManager.addElement('saved-room', line('a'));
+  roomManager.addElement('saved-room', line('b'));
+  roomManager.addMessage('saved-room', { id: 'm1', text: 'hi' });
+  roomManager.removeUserFromRoom('saved-room', 'u1');
+
+  assert.equal(roomManager.listRooms().some(r => r.roomId === 'saved-room'), false);
+  assert.equal(roomManager.hasRoom('saved-room'), true);
+  assert.deepEqual(roomManager.getElements('saved-room').map(el => el.id), ['a', 'b']);
+  assert.deepEqual(roomManager.getMessages('saved-room').map(m => m.id), ['m1']);
+
+  roomManager.addUser('saved-room', { id: 'u2' });
+  assert.deepEqual(roomManager.getElements('saved-room').map(el => el.id), ['a', 'b']);
+  roomManager.removeUserFromRoom('saved-room', 'u2');
+});
+
+test('ignores element changes for rooms nobody is in', () => {
+  roomManager.addElement('empty-room', line('a'));
+  roomManager.updateElement('empty-room', 'a', { x: 5 });
+  assert.deepEqual(roomManager.getElements('empty-room'), []);
+  assert.equal(roomManager.hasRoom('empty-room'), false);
+});
+
+test('setElements replaces the board of rooms nobody is in without keeping them open', () => {
+  roomManager.setElements('offline-room', [line('x')]);
+  assert.equal(roomManager.listRooms().some(r => r.roomId === 'offline-room'), false);
+  assert.deepEqual(roomManager.getElements('offline-room').map(el => el.id), ['x']);
+
+  roomManager.deleteRoom('offline-room');
+  assert.equal(roomManager.hasRoom('offline-room'), false);
+});
+
+test('trims the chat backlog to the newest messages', () => {
+  roomManager.addUser('chat-room', { id: 'u1' });
+  for (let i = 0; i < ROOM_CONFIG.MAX_MESSAGES + 5; i++) {
+    roomManager.addMessage('chat-room', { id: `m${i}` });
+  }
+  const messages = roomManager.getMessages('chat-room');
+  assert.equal(messages.length, ROOM_CONFIG.MAX_MESSAGES);
+  assert.equal(messages[0].id, 'm5');
+  roomManager.removeUserFromRoom('chat-room', 'u1');
+});
@@ -0,0 +1,302 @@
+const { SHAPES } = require('./constants');
+const { encodePng } = require('./png');
+
+// Server-side PNG snapshots of a board, rasterized from the element model.
+// There are no fonts on the server, so text labels are left out.
+
+const MAX_SIZE = 4096;
+// Rendering runs on the event loop that serves the rooms, so both the image
+// (4 bytes per pixel, and as much again while encoding) and the pixels
+// visited while drawing are capped
+const MAX_PIXELS = 2048 * 2048;
+const MAX_PIXEL_VISITS = 10 * 1000 * 1000;
+// Finding a row's spans costs about as much as visiting a few pixels
+const ROW_COST = 4;
+const PADDING = 20;
+
+const parseColor = (value, fallback = [0, 0, 0]) => {
+  const hex = /^#([0-9a-f]{3}|[0-9a-f]{6})$/i.exec(value || '');
+  if (!hex) return fallback;
+  const digits = hex[1].length === 3
+    ? hex[1].split('').map(d => d + d).join('')
+    : hex[1];
+  return [0, 2, 4].map(i => parseInt(digits.slice(i, i + 2), 16));
+};
+
+const toPairs = (points = []) => {
+  if (Array.isArray(points[0])) return points;
+  const pairs = [];
+  for (let i = 0; i + 1 < points.length; i += 2) {
+    pairs.push([points[i], points[i + 1]]);
+  }
+  return pairs;
+};
+
+const rotate = ([x, y], [ox, oy], degrees) => {
+  const rad = (degrees * Math.PI) / 180;
+  const cos = Math.cos(rad);
+  const sin = Math.sin(rad);
+  return [ox + (x - ox) * cos - (y - oy) * sin, oy + (x - ox) * sin + (y - oy) * cos];
+};
+
+const rectCorners = (element) => {
+  const width = element.type === 'square' ? element.side : element.width;
+  const height = element.type === 'square' ? element.side : element.height;
+  const origin = [element.x, element.y];
+  return [
+    [element.x, element.y],
+    [element.x + width, element.y],
+    [element.x + width, element.y + height],
+    [element.x, element.y + height]
+  ].map(corner => rotate(corner, origin, element.rotation || 0));
+};
+
+// Outlines of a connector's arrowheads; sized like the client's heads
+const arrowHeads = (element) => {
+  const [x1, y1, x2, y2] = element.points;
+  const size = 6 + (element.strokeWidth || 2) * 2;
+  const head = ([tx, ty], [fx, fy]) => {
+    const angle = Math.atan2(ty - fy, tx - fx);
+    const bx = tx - size * Math.cos(angle);
+    const by = ty - size * Math.sin(angle);
+    const sx = (size / 2) * Math.sin(angle);
+    const sy = (-size / 2) * Math.cos(angle);
+    return [[tx, ty], [bx + sx, by + sy], [bx - sx, by - sy], [tx, ty]];
+  };
+  const heads = [];
+  if (element.arrowheads !== 'none') heads.push(head([x2, y2], [x1, y1]));
+  if (element.arrowheads === 'both') heads.push(head([x1, y1], [x2, y2]));
+  return heads;
+};
+
+// Outline of an element as polylines; circles are handled separately
+const toPaths = (element) => {
+  switch (element.type) {
+    case SHAPES.FREEHAND:
+    case SHAPES.ERASER:
+    case SHAPES.LINE:
+      return [toPairs(element.points)];
+    case SHAPES.ARROW:
+      return [toPairs(element.points), ...arrowHeads(element)];
+    case SHAPES.TRIANGLE:
+    case SHAPES.HEXAGON:
+    case SHAPES.PENTAGON: {
+      const pairs = toPairs(element.points);
+      return [[...pairs, pairs[0]]];
+    }
+    case SHAPES.RECTANGLE:
+    case SHAPES.STICKY:
+    case 'square': {
+      const corners = rectCorners(element);
+      return [[...corners, corners[0]]];
+    }
+    default:
+      return [];
+  }
+};
+
+// Plain loops rather than Math.min(...xs): spreading the points of a big
+// board overflows the call stack
+const getBounds = (elements) => {
+  let minX = Infinity;
+  let minY = Infinity;
+  let maxX = -Infinity;
+  let maxY = -Infinity;
+  const add = (x, y, pad) => {
+    minX = Math.min(minX, x - pad);
+    minY = Math.min(minY, y - pad);
+    maxX = Math.max(maxX, x + pad);
+    maxY = Math.max(maxY, y + pad);
+  };
+  elements.forEach((element) => {
+    const pad = (element.strokeWidth || 1) / 2;
+    if (element.type === SHAPES.CIRCLE) {
+      add(element.x, element.y, (element.radius || 0) + pad);
+      return;
+    }
+    toPaths(element).forEach((path) => {
+      path.forEach(([x, y]) => add(x, y, pad));
+    });
+  });
+  if (!Number.isFinite(minX) || !Number.isFinite(minY)) {
+    return { x: 0, y: 0, width: 1, height: 1 };
+  }
+  return { x: minX, y: minY, width: maxX - minX, height: maxY - minY };
+};
+
+// Values of x with lo <= a * x + b <= hi, as [from, to], or null
+const linearRange = (a, b, lo, hi) => {
+  if (a === 0) return lo <= b && b <= hi ? [-Infinity, Infinity] : null;
+  const from = (lo - b) / a;
+  const to = (hi - b) / a;
+  return from < to ? [from, to] : [to, from];
+};
+
+// Part of a horizontal line within reach of a segment: the union of the
+// circles around its ends and the strip along it. The band is convex, so
+// the union is a single span
+const segmentSpan = ([ax, ay], [bx, by], reach, py) => {
+  let from = Infinity;
+  let to = -Infinity;
+  const addEnd = (cx, cy) => {
+    const dy = py - cy;
+    if (Math.abs(dy) > reach) return;
+    const half = Math.sqrt(reach * reach - dy * dy);
+    from = Math.min(from, cx - half);
+    to = Math.max(to, cx + half);
+  };
+  addEnd(ax, ay);
+  addEnd(bx, by);
+  const dx = bx - ax;
+  const dy = by - ay;
+  const length = Math.hypot(dx, dy);
+  if (length > 0) {
+    const along = linearRange(dx, (py - ay) * dy - ax * dx, 0, length * length);
+    const across = linearRange(dy, -ax * dy - (py - ay) * dx, -reach * length, reach * length);
+    if (along && across) {
+      const stripFrom = Math.max(along[0], across[0]);
+      const stripTo = Math.min(along[1], across[1]);
+      if (stripFrom <= stripTo) {
+        from = Math.min(from, stripFrom);
+        to = Math.max(to, stripTo);
+      }
+    }
+  }
+  return from <= to ? [[from, to]] : [];
+};
+
+// Part of a horizontal line within reach of a circle's outline: one span
+// through the ring, or two when the line crosses the hole
+const ringSpans = ([cx, cy], radius, reach, py) => {
+  const dy = Math.abs(py - cy);
+  const outer = radius + reach;
+  if (dy > outer) return [];
+  const half = Math.sqrt(outer * outer - dy * dy);
+  const inner = radius - reach;
+  if (inner <= 0 || dy >= inner) return [[cx - half, cx + half]];
+  const hole = Math.sqrt(inner * inner - dy * dy);
+  return [[cx - half, cx - hole], [cx + hole, cx + half]];
+};
+
+const createCanvas = (width, height, background) => {
+  const pixels = Buffer.alloc(width * height * 4);
+  for (let i = 0; i < pixels.length; i += 4) {
+    pixels[i] = background[0];
+    pixels[i + 1] = background[1];
+    pixels[i + 2] = background[2];
+    pixels[i + 3] = 255;
+  }
+
+  // Blend a color into one pixel with the given coverage (0..1)
+  const plot = (x, y, color, coverage) => {
+    if (x < 0 || y < 0 || x >= width || y >= height || coverage <= 0) return;
+    const i = (y * width + x) * 4;
+    const a = Math.min(1, coverage);
+    for (let c = 0; c < 3; c++) {
+      pixels[i + c] = Math.round(pixels[i + c] * (1 - a) + color[c] * a);
+    }
+  };
+
+  let visits = 0;
+
+  // Fill every pixel whose distance (from distanceAt) is within halfWidth.
+  // Only the spans of each row that spansAt reports as within reach are
+  // visited, so long diagonal strokes don't cost their whole bounding box
+  const fillBand = (minY, maxY, halfWidth, color, spansAt, distanceAt) => {
+    const reach = halfWidth + 0.5;
+    const y0 = Math.max(0, Math.floor(minY - reach));
+    const y1 = Math.min(height - 1, Math.ceil(maxY + reach));
+    for (let y = y0; y <= y1 && visits <= MAX_PIXEL_VISITS; y++) {
+      visits += ROW_COST;
+      spansAt(reach, y + 0.5).forEach(([from, to]) => {
+        const x0 = Math.max(0, Math.ceil(from - 0.5));
+        const x1 = Math.min(width - 1, Math.floor(to - 0.5));
+        if (x1 < x0) return;
+        visits += x1 - x0 + 1;
+        for (let x = x0; x <= x1; x++) {
+          plot(x, y, color, reach - distanceAt(x + 0.5, y + 0.5));
+        }
+      });
+    }
+  };
+
+  const segment = ([ax, ay], [bx, by], halfWidth, color) => {
+    const dx = bx - ax;
+    const dy = by - ay;
+    const lengthSq = dx * dx + dy * dy;
+    fillBand(Math.min(ay, by), Math.max(ay, by), halfWidth, color,
+      (reach, py) => segmentSpan([ax, ay], [bx, by], reach, py),
+      (px, py) => {
+        const t = lengthSq === 0
+          ? 0
+          : Math.max(0, Math.min(1, ((px - ax) * dx + (py - ay) * dy) / lengthSq));
+        return Math.hypot(px - (ax + t * dx), py - (ay + t * dy));
+      });
+  };
+
+  const ring = ([cx, cy], radius, halfWidth, color) => {
+    fillBand(cy - radius, cy + radius, halfWidth, color,
+      (reach, py) => ringSpans([cx, cy], radius, reach, py),
+      (px, py) => Math.abs(Math.hypot(px - cx, py - cy) - radius));
+  };
+
+  // Whether drawing stopped early because it hit MAX_PIXEL_VISITS
+  const exhausted = () => visits > MAX_PIXEL_VISITS;
+
+  return { pixels, segment, ring, exhausted };
+};
+
+/*
+ * Render elements to a PNG buffer. The image covers the content bounds plus
+ * PADDING, scaled down if needed so neither side exceeds MAX_SIZE and the
+ * area stays within MAX_PIXELS.
+ */
+const renderBoardPng = (elements, { background = '#ffffff', scale = 1 } = {}) => {
+  const drawable = elements.filter(el => el.type !== SHAPES.TEXT);
+  const bounds = getBounds(drawable);
+  const fullWidth = bounds.width + PADDING * 2;
+  const fullHeight = bounds.height + PADDING * 2;
+  const fit = Math.min(
+    scale,
+    MAX_SIZE / fullWidth,
+    MAX_SIZE / fullHeight,
+    Math.sqrt(MAX_PIXELS / (fullWidth * fullHeight))
+  );
+  const width = Math.max(1, Math.ceil((bounds.width + PADDING * 2) * fit));
+  const height = Math.max(1, Math.ceil((bounds.height + PADDING * 2) * fit));
+  const toPixel = ([x, y]) => [
+    (x - bounds.x + PADDING) * fit,
+    (y - bounds.y + PADDING) * fit
+  ];
+
+  const backgroundColor = parseColor(background, [255, 255, 255]);
+  const canvas = createCanvas(width, height, backgroundColor);
+
+  drawable.forEach((element) => {
+    if (canvas.exhausted()) return;
+    // Legacy eraser strokes cut through the canvas, so paint them as background
+    const color = element.type === SHAPES.ERASER ? backgroundColor : parseColor(element.color);
+    const halfWidth = Math.max(0.5, ((element.strokeWidth || 1) * fit) / 2);
+
+    if (element.type === SHAPES.CIRCLE) {
+      canvas.ring(toPixel([element.x, element.y]), (element.radius || 0) * fit, halfWidth, color);
+      return;
+    }
+    toPaths(element).forEach((path) => {
+      const points = path.map(toPixel);
+      if (points.length === 1) {
+        canvas.segment(points[0], points[0], halfWidth, color);
+      }
+      for (let i = 1; i < points.length; i++) {
+        canvas.segment(points[i - 1], points[i], halfWidth, color);
+      }
+    });
+  });
+  if (canvas.exhausted()) {
+    console.warn(`Snapshot of ${drawable.length} elements stopped after ${MAX_PIXEL_VISITS} pixels`);
+  }
+
+  return encodePng(width, height, canvas.pixels);
+};
+
+module.exports = { renderBoardPng };
@@ -0,0 +1,63 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const zlib = require('zlib');
+const { renderBoardPng } = require('./snapshot');
+
+// Size and RGBA pixel lookup of a PNG written by encodePng (one IDAT chunk)
+const decode = (png) => {
+  const width = png.readUInt32BE(16);
+  const height = png.readUInt32BE(20);
+  const raw = zlib.inflateSync(png.subarray(41, 41 + png.readUInt32BE(33)));
+  const pixel = (x, y) => {
+    const i = y * (width * 4 + 1) + 1 + x * 4;
+    return [...raw.subarray(i, i + 4)];
+  };
+  return { width, height, pixel };
+};
+
+const line = { id: 'l', type: 'line', points: [0, 0, 100, 0], strokeWidth: 4, color: '#ff0000' };
+
+test('renders an empty board as padding on the background color', () => {
+  const { width, height, pixel } = decode(renderBoardPng([], { background: '#000' }));
+  assert.equal(width, 41);
+  assert.equal(height, 41);
+  assert.deepEqual(pixel(20, 20), [0, 0, 0, 255]);
+});
+
+test('draws elements within their padded bounds', () => {
+  const { width, height, pixel } = decode(renderBoardPng([line]));
+  assert.equal(width, 144);
+  assert.equal(height, 44);
+  assert.deepEqual(pixel(72, 22), [255, 0, 0, 255]);
+  assert.deepEqual(pixel(72, 5), [255, 255, 255, 255]);
+});
+
+test('scales the image and leaves text out', () => {
+  const text = { id: 't', type: 'text', x: 500, y: 500, text: 'Far away' };
+  const { width, height } = decode(renderBoardPng([line, text], { scale: 0.5 }));
+  assert.equal(width, 72);
+  assert.equal(height, 22);
+});
+
+test('keeps huge boards within the pixel budget', () => {
+  const wide = { ...line, points: [0, 0, 100000, 100000] };
+  const { width, height } = decode(renderBoardPng([wide]));
+  assert.ok(width * height <= 2048 * 2048);
+  assert.equal(width, height);
+});
+
+test('stops drawing once it has visited too many pixels', (t) => {
+  const warn = t.mock.method(console, 'warn', () => {});
+  const strokes = Array.from({ length: 2000 }, (_, i) => ({
+    ...line,
+    id: `s${i}`,
+    points: [0, i, 2000, 2000 - i],
+    strokeWidth: 40
+  }));
+  const started = Date.now();
+  const { width, height } = decode(renderBoardPng(strokes));
+  assert.ok(Date.now() - started < 10000);
+  assert.ok(width * height <= 2048 * 2048);
+  assert.equal(warn.mock.callCount(), 1);
+  assert.match(warn.mock.calls[0].arguments[0], /stopped after/);
+});
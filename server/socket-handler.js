@@ -1,15 +1,56 @@
-const { EVENTS } = require('./constants');
+const { SHAPES, EVENTS, ROOM_CONFIG } = require('./constants');
 const roomManager = require('./room-manager');
+const { normalizeLayers } = require('./board-schema');
+
+const STROKE_TYPES = [SHAPES.FREEHAND, SHAPES.ERASER];
+
+const isElementId = (id) => typeof id === 'string' || typeof id === 'number';
+
+// { element, index } as sent by undo/redo; entries without an index go on top
+const isElementEntry = (entry) =>
+  Boolean(entry && entry.element) &&
+  typeof entry.element === 'object' &&
+  isElementId(entry.element.id) &&
+  (entry.index === undefined || entry.index === null || Number.isInteger(entry.index));
 
 module.exports = (socket, io) => {
-  // Join a room
-  socket.on(EVENTS.JOIN_ROOM, ({ roomId, user }) => {
+  // Stroke this socket is currently drawing, so DRAW_MOVE points can be stored
+  let activeStroke = null;
+
+  const notifyUserLeft = (roomId) => {
+    io.to(roomId).emit(EVENTS.USER_LEFT, {
+      userId: socket.id
+    });
+
+    // Send updated users list
+    const users = roomManager.getUsers(roomId);
+    io.to(roomId).emit('room-users', { users });
+  };
+
+  // Join a room; whoever opens a new room may pick its capacity
+  socket.on(EVENTS.JOIN_ROOM, ({ roomId, user, capacity }) => {
+    // Membership is keyed on the connection, not on the id the client sent
+    const member = { ...user, id: socket.id };
+
+    if (capacity !== undefined) {
+      roomManager.setCapacity(roomId, capacity);
+    }
+
+    if (roomManager.isFull(roomId, member.id)) {
+      socket.emit(EVENTS.ROOM_FULL, {
+        roomId,
+        capacity: roomManager.getCapacity(roomId)
+      });
+      console.log(`User ${user.name} rejected from full room ${roomId}`);
+      return;
+    }
+
     socket.join(roomId);
-    roomManager.addUser(roomId, user);
+    roomManager.addUser(roomId, member);
     
     // Notify room about new user
     io.to(roomId).emit(EVENTS.USER_JOINED, {
-      user: user
+      user: member
     });
     
     // Send current users list to all users in room
@@ -19,6 +60,10 @@ module.exports = (socket, io) => {
     // Send existing elements to new user
     const elements = roomManager.getElements(roomId);
     socket.emit('board-state', elements);
+    socket.emit(EVENTS.LAYERS_UPDATE, { layers: roomManager.getLayers(roomId) });
+
+    // ...and the chat backlog
+    socket.emit(EVENTS.MESSAGE_HISTORY, roomManager.getMessages(roomId));
     
     console.log(`User ${user.name} joined room ${roomId}`);
   });
@@ -26,42 +71,192 @@ module.exports = (socket, io) => {
   // Drawing events
   socket.on(EVENTS.DRAW_START, ({ roomId, element }) => {
     roomManager.addElement(roomId, element);
+    activeStroke = STROKE_TYPES.includes(element.type)
+      ? { roomId, elementId: element.id }
+      : null;
     socket.to(roomId).emit(EVENTS.DRAW_START, element);
   });
 
-  socket.on(EVENTS.DRAW_MOVE, ({ roomId, point }) => {
-    socket.to(roomId).emit(EVENTS.DRAW_MOVE, point);
+  socket.on(EVENTS.DRAW_MOVE, ({ roomId, elementId, point }) => {
+    // Only the socket that started a stroke may extend it
+    if (
+      !activeStroke ||
+      activeStroke.roomId !== roomId ||
+      String(activeStroke.elementId) !== String(elementId)
+    ) {
+      return;
+    }
+    roomManager.appendPoint(roomId, elementId, point);
+    socket.to(roomId).emit(EVENTS.DRAW_MOVE, {
+      elementId,
+      userId: socket.id,
+      point
+    });
   });
 
-  socket.on(EVENTS.DRAW_END, ({ roomId }) => {
-    socket.to(roomId).emit(EVENTS.DRAW_END);
+  socket.on(EVENTS.DRAW_END, ({ roomId, elementId }) => {
+    activeStroke = null;
+    socket.to(roomId).emit(EVENTS.DRAW_END, {
+      elementId,
+      userId: socket.id
+    });
   });
 
   socket.on(EVENTS.SHAPE_RECOGNIZED, ({ roomId, shape }) => {
-    // Add the corrected shape to the room without removing original drawings
-    roomManager.addElement(roomId, shape);
-    io.to(roomId).emit(EVENTS.SHAPE_RECOGNIZED, shape);
+    // The recognized shape reuses the stroke's id, so it replaces the freehand original
+    if (!roomManager.replaceElement(roomId, shape)) {
+      roomManager.addElement(roomId, shape);
+    }
+    socket.to(roomId).emit(EVENTS.SHAPE_RECOGNIZED, shape);
+  });
+
+  socket.on(EVENTS.SHAPE_UPDATE, ({ roomId, elementId, updatedAttrs }) => {
+    // Keep stored geometry in sync so late joiners get the moved shape
+    roomManager.updateElement(roomId, elementId, updatedAttrs);
+    socket.to(roomId).emit(EVENTS.SHAPE_UPDATE, { elementId, updatedAttrs });
+  });
+
+  // Several elements changed together (multi-select move, align, group);
+  // relayed as one message so peers apply it at once
+  socket.on(EVENTS.ELEMENTS_UPDATE, ({ roomId, updates }) => {
+    if (!Array.isArray(updates)) return;
+    updates.forEach(({ elementId, updatedAttrs }) => {
+      roomManager.updateElement(roomId, elementId, updatedAttrs);
+    });
+    socket.to(roomId).emit(EVENTS.ELEMENTS_UPDATE, { updates });
+  });
+
+  // Everyone, the voter included, gets the list the server ended up with
+  socket.on(EVENTS.NOTE_VOTE, ({ roomId, elementId }) => {
+    const votes = roomManager.toggleVote(roomId, elementId, socket.id);
+    if (!votes) return;
+    io.to(roomId).emit(EVENTS.SHAPE_UPDATE, { elementId, updatedAttrs: { votes } });
+  });
+
+  // The whole layer list (names, order, visibility, locks) is replaced at
+  // once; elements point at layers through their layerId
+  socket.on(EVENTS.LAYERS_UPDATE, ({ roomId, layers }) => {
+    let normalized;
+    try {
+      normalized = normalizeLayers(layers);
+    } catch (err) {
+      console.error(`Rejected layers for room ${roomId}:`, err.message);
+      return;
+    }
+    roomManager.setLayers(roomId, normalized);
+    socket.to(roomId).emit(EVENTS.LAYERS_UPDATE, { layers: normalized });
+  });
+
+  // Undo/redo arrive as plain element additions and deletions, z-order
+  // changes as additions of elements that already exist (moved to a new index)
+  // Only sockets in the room may change its board
+  socket.on(EVENTS.ELEMENTS_ADD, ({ roomId, entries }) => {
+    if (!socket.rooms.has(roomId)) return;
+    if (!Array.isArray(entries) || !entries.every(isElementEntry)) return;
+    roomManager.restoreElements(roomId, entries);
+    socket.to(roomId).emit(EVENTS.ELEMENTS_ADD, { entries });
+  });
+
+  socket.on(EVENTS.ELEMENTS_DELETE, ({ roomId, elementIds }) => {
+    if (!socket.rooms.has(roomId)) return;
+    if (!Array.isArray(elementIds) || !elementIds.every(isElementId)) return;
+    roomManager.deleteElements(roomId, elementIds);
+    socket.to(roomId).emit(EVENTS.ELEMENTS_DELETE, { elementIds });
   });
 
   socket.on(EVENTS.CLEAR_BOARD, ({ roomId }) => {
-    // Clear all elements in the room
-    roomManager.clearElements(roomId);
-    io.to(roomId).emit(EVENTS.CLEAR_BOARD);
+    // Clear what can be edited; locked and hidden layers keep their elements
+    const elementIds = roomManager.clearElements(roomId);
+    io.to(roomId).emit(EVENTS.CLEAR_BOARD, { elementIds });
     console.log(`Board cleared in room ${roomId}`);
   });
 
+  // Chat
+  socket.on(EVENTS.MESSAGE_SEND, ({ roomId, text }) => {
+    const body = typeof text === 'string' ? text.trim() : '';
+    if (!body) return;
+    const author = roomManager.getUsers(roomId).find(u => u.id === socket.id);
+    if (!author) return;
+
+    const message = {
+      id: `${Date.now()}-${socket.id}`,
+      userId: socket.id,
+      userName: author.name,
+      text: body.slice(0, ROOM_CONFIG.MAX_MESSAGE_LENGTH),
+      timestamp: Date.now()
+    };
+    roomManager.addMessage(roomId, message);
+    io.to(roomId).emit(EVENTS.MESSAGE_RECEIVE, message);
+  });
+
+  // Video call: the server only brokers WebRTC offers, answers and ICE candidates
+  socket.on(EVENTS.CALL_JOIN, ({ roomId }) => {
+    const participants = roomManager.joinCall(roomId, socket.id);
+    // The newcomer sends an offer to everyone already in the call
+    socket.emit(EVENTS.CALL_PARTICIPANTS, { participants });
+  });
+
+  socket.on(EVENTS.CALL_LEAVE, ({ roomId }) => {
+    if (roomManager.leaveCall(roomId, socket.id)) {
+      socket.to(roomId).emit(EVENTS.CALL_LEAVE, { userId: socket.id });
+    }
+  });
+
+  socket.on(EVENTS.CALL_SIGNAL, ({ roomId, to, signal }) => {
+    const inRoom = roomManager.getUsers(roomId).some(u => u.id === to);
+    if (!inRoom) return;
+    io.to(to).emit(EVENTS.CALL_SIGNAL, { from: socket.id, signal });
+  });
+
+  socket.on(EVENTS.CALL_MEDIA_STATE, ({ roomId, audio, video }) => {
+    socket.to(roomId).emit(EVENTS.CALL_MEDIA_STATE, {
+      userId: socket.id,
+      audio,
+      video
+    });
+  });
+
+  // Cursor positions are only relayed, never stored
+  socket.on(EVENTS.CURSOR_MOVE, ({ roomId, x, y }) => {
+    socket.to(roomId).emit(EVENTS.CURSOR_MOVE, {
+      userId: socket.id,
+      x,
+      y
+    });
+  });
+
+  socket.on(EVENTS.CURSOR_LEAVE, ({ roomId }) => {
+    socket.to(roomId).emit(EVENTS.CURSOR_LEAVE, {
+      userId: socket.id
+    });
+  });
+
+  // Visible board area { x, y, width, height } in world coordinates; relayed
+  // for minimaps and follow mode
+  socket.on(EVENTS.VIEWPORT_UPDATE, ({ roomId, viewport }) => {
+    socket.to(roomId).emit(EVENTS.VIEWPORT_UPDATE, {
+      userId: socket.id,
+      viewport
+    });
+  });
+
+  // Explicit leave, without waiting for the socket to disconnect
+  socket.on(EVENTS.LEAVE_ROOM, ({ roomId }) => {
+    if (activeStroke && activeStroke.roomId === roomId) {
+      activeStroke = null;
+    }
+    socket.leave(roomId);
+    if (roomManager.removeUserFromRoom(roomId, socket.id)) {
+      notifyUserLeft(roomId);
+      console.log(`User ${socket.id} left room ${roomId}`);
+    }
+  });
+
   // Cleanup on disconnect
   socket.on('disconnect', () => {
+    activeStroke = null;
     const rooms = roomManager.removeUser(socket.id);
-    rooms.forEach(roomId => {
-      io.to(roomId).emit(EVENTS.USER_LEFT, {
-        userId: socket.id
-      });
-      
-      // Send updated users list
-      const users = roomManager.getUsers(roomId);
-      io.to(roomId).emit('room-users', { users });
-    });
+    rooms.forEach(notifyUserLeft);
     
     console.log(`User ${socket.id} disconnected`);
   });
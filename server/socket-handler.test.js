@@ -0,0 +1,235 @@
+process.env.STORAGE_DRIVER = 'memory';
+
+const { test, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const { EVENTS, ROOM_CONFIG } = require('./constants');
+const roomManager = require('./room-manager');
+const socketHandler = require('./socket-handler');
+
+mock.method(console, 'log', () => {});
+
+// Stand-ins for the Socket.IO server and its sockets: handlers are called
+// directly and everything a socket receives is recorded
+const createServer = () => {
+  const sockets = [];
+  const deliver = (roomId, event, data, except) => {
+    sockets
+      .filter(s => s !== except && s.rooms.has(roomId))
+      .forEach(s => s.received.push({ event, data }));
+  };
+  const io = {
+    to: (roomId) => ({ emit: (event, data) => deliver(roomId, event, data) })
+  };
+
+  const connect = (id) => {
+    const handlers = {};
+    const socket = {
+      id,
+      rooms: new Set(),
+      received: [],
+      on: (event, handler) => { handlers[event] = handler; },
+      emit: (event, data) => socket.received.push({ event, data }),
+      to: (roomId) => ({ emit: (event, data) => deliver(roomId, event, data, socket) }),
+      join: (roomId) => socket.rooms.add(roomId),
+      leave: (roomId) => socket.rooms.delete(roomId),
+      trigger: (event, payload) => handlers[event](payload),
+      joinRoom: (roomId, capacity, user = { id, name: `user ${id}` }) =>
+        socket.trigger(EVENTS.JOIN_ROOM, { roomId, user, capacity }),
+      last: (event) => socket.received.filter(r => r.event === event).pop()?.data
+    };
+    sockets.push(socket);
+    socketHandler(socket, io);
+    return socket;
+  };
+
+  return { connect };
+};
+
+test('rejects joins with ROOM_FULL once a room reaches its capacity', () => {
+  const { connect } = createServer();
+  const [a, b, c] = ['a1', 'b1', 'c1'].map(connect);
+
+  a.joinRoom('full-room', 2);
+  b.joinRoom('full-room');
+  c.joinRoom('full-room');
+
+  assert.deepEqual(c.last(EVENTS.ROOM_FULL), { roomId: 'full-room', capacity: 2 });
+  assert.equal(c.rooms.has('full-room'), false);
+  assert.deepEqual(roomManager.getUsers('full-room').map(u => u.id), ['a1', 'b1']);
+
+  // Someone already in the room may rejoin, e.g. after a reconnect
+  a.joinRoom('full-room');
+  assert.equal(a.last(EVENTS.ROOM_FULL), undefined);
+});
+
+test('keys membership on the socket, not on the id the client sent', () => {
+  const { connect } = createServer();
+  const [a, b] = ['a5', 'b5'].map(connect);
+
+  a.joinRoom('spoofed-room', 1);
+  b.joinRoom('spoofed-room', undefined, { id: 'a5', name: 'Not a' });
+
+  assert.deepEqual(b.last(EVENTS.ROOM_FULL), { roomId: 'spoofed-room', capacity: 1 });
+  assert.deepEqual(roomManager.getUsers('spoofed-room'), [{ id: 'a5', name: 'user a5' }]);
+});
+
+test('applies a requested capacity only to rooms being opened', () => {
+  const { connect } = createServer();
+  const [a, b] = ['a2', 'b2'].map(connect);
+
+  a.joinRoom('capped-room', 1);
+  b.joinRoom('capped-room', 5);
+  assert.deepEqual(b.last(EVENTS.ROOM_FULL), { roomId: 'capped-room', capacity: 1 });
+
+  [0, 1.5, ROOM_CONFIG.MAX_CAPACITY + 1, '3'].forEach((capacity, i) => {
+    connect(`c2-${i}`).joinRoom(`invalid-capacity-${i}`, capacity);
+    assert.equal(roomManager.getCapacity(`invalid-capacity-${i}`), ROOM_CONFIG.MAX_USERS);
+  });
+});
+
+test('LEAVE_ROOM frees the seat and notifies the others', () => {
+  const { connect } = createServer();
+  const [a, b, c] = ['a3', 'b3', 'c3'].map(connect);
+
+  a.joinRoom('leave-room', 2);
+  b.joinRoom('leave-room');
+  b.trigger(EVENTS.LEAVE_ROOM, { roomId: 'leave-room' });
+
+  assert.equal(b.rooms.has('leave-room'), false);
+  assert.deepEqual(a.last(EVENTS.USER_LEFT), { userId: 'b3' });
+  assert.deepEqual(a.last('room-users').users.map(u => u.id), ['a3']);
+
+  c.joinRoom('leave-room');
+  assert.equal(c.last(EVENTS.ROOM_FULL), undefined);
+  assert.deepEqual(roomManager.getUsers('leave-room').map(u => u.id), ['a3', 'c3']);
+});
+
+test('keeps the capacity of a stored room once everyone has left', () => {
+  const { connect } = createServer();
+  const [a, b] = ['a4', 'b4'].map(connect);
+
+  a.joinRoom('stored-room', 3);
+  a.trigger('disconnect');
+  assert.deepEqual(roomManager.getUsers('stored-room'), []);
+
+  b.joinRoom('stored-room', 10);
+  assert.equal(roomManager.getCapacity('stored-room'), 3);
+});
+
+test('applies and relays ELEMENTS_ADD and ELEMENTS_DELETE from room members', () => {
+  const { connect } = createServer();
+  const [a, b] = ['a6', 'b6'].map(connect);
+  a.joinRoom('undo-room');
+  b.joinRoom('undo-room');
+
+  const entries = [{ element: { id: 'x', type: 'line', points: [0, 0, 1, 1] }, index: 0 }];
+  a.trigger(EVENTS.ELEMENTS_ADD, { roomId: 'undo-room', entries });
+  assert.deepEqual(roomManager.getElements('undo-room').map(el => el.id), ['x']);
+  assert.deepEqual(b.last(EVENTS.ELEMENTS_ADD), { entries });
+
+  a.trigger(EVENTS.ELEMENTS_DELETE, { roomId: 'undo-room', elementIds: ['x'] });
+  assert.deepEqual(roomManager.getElements('undo-room'), []);
+  assert.deepEqual(b.last(EVENTS.ELEMENTS_DELETE), { elementIds: ['x'] });
+});
+
+test('drops ELEMENTS_ADD and ELEMENTS_DELETE from outsiders and malformed ones', () => {
+  const { connect } = createServer();
+  const [a, b, outsider] = ['a7', 'b7', 'c7'].map(connect);
+  a.joinRoom('guarded-room');
+  b.joinRoom('guarded-room');
+  const line = { id: 'kept', type: 'line', points: [0, 0, 1, 1] };
+  a.trigger(EVENTS.ELEMENTS_ADD, { roomId: 'guarded-room', entries: [{ element: line, index: 0 }] });
+  b.received = [];
+
+  outsider.trigger(EVENTS.ELEMENTS_DELETE, { roomId: 'guarded-room', elementIds: ['kept'] });
+  outsider.trigger(EVENTS.ELEMENTS_ADD, {
+    roomId: 'guarded-room',
+    entries: [{ element: { ...line, id: 'foreign' }, index: 0 }]
+  });
+  [
+    { entries: null },
+    { entries: { element: line } },
+    { entries: [null] },
+    { entries: [{ element: { type: 'line' } }] },
+    { entries: [{ element: { ...line, id: 'y' }, index: 'top' }] }
+  ].forEach(payload => a.trigger(EVENTS.ELEMENTS_ADD, { roomId: 'guarded-room', ...payload }));
+  [null, 'kept', [{ id: 'kept' }]].forEach(elementIds =>
+    a.trigger(EVENTS.ELEMENTS_DELETE, { roomId: 'guarded-room', elementIds }));
+
+  assert.deepEqual(roomManager.getElements('guarded-room'), [line]);
+  assert.deepEqual(b.received, []);
+});
+
+test('CLEAR_BOARD keeps elements on locked and hidden layers', () => {
+  const { connect } = createServer();
+  const [a, b] = ['a8', 'b8'].map(connect);
+  a.joinRoom('layered-room');
+  b.joinRoom('layered-room');
+  a.trigger(EVENTS.LAYERS_UPDATE, {
+    roomId: 'layered-room',
+    layers: [{ id: 'base' }, { id: 'locked', locked: true }, { id: 'hidden', visible: false }]
+  });
+  const entries = ['base', 'locked', 'hidden', 'gone'].map((layerId, index) => ({
+    element: { id: layerId, type: 'line', points: [0, 0, 1, 1], layerId },
+    index
+  }));
+  a.trigger(EVENTS.ELEMENTS_ADD, { roomId: 'layered-room', entries });
+
+  a.trigger(EVENTS.CLEAR_BOARD, { roomId: 'layered-room' });
+
+  assert.deepEqual(roomManager.getElements('layered-room').map(el => el.id), ['locked', 'hidden']);
+  assert.deepEqual(b.last(EVENTS.CLEAR_BOARD), { elementIds: ['base', 'gone'] });
+});
+
+test('stores SHAPE_UPDATE transforms for late joiners and relays them', () => {
+  const { connect } = createServer();
+  const [a, b, late] = ['a9', 'b9', 'c9'].map(connect);
+  a.joinRoom('transform-room');
+  b.joinRoom('transform-room');
+  const rect = { id: 'r', type: 'rectangle', x: 0, y: 0, width: 10, height: 10 };
+  a.trigger(EVENTS.DRAW_START, { roomId: 'transform-room', element: rect });
+
+  const updatedAttrs = { x: 40, y: 50, width: 20, rotation: 90, id: 'other' };
+  a.trigger(EVENTS.SHAPE_UPDATE, { roomId: 'transform-room', elementId: 'r', updatedAttrs });
+  assert.deepEqual(b.last(EVENTS.SHAPE_UPDATE), { elementId: 'r', updatedAttrs });
+
+  late.joinRoom('transform-room');
+  // The element keeps its id whatever the update carried
+  assert.deepEqual(late.last('board-state'), [
+    { id: 'r', type: 'rectangle', x: 40, y: 50, width: 20, height: 10, rotation: 90 }
+  ]);
+});
+
+test('stores DRAW_MOVE points only from the socket drawing the stroke', () => {
+  const { connect } = createServer();
+  const [a, b, late] = ['a10', 'b10', 'c10'].map(connect);
+  a.joinRoom('stroke-room');
+  b.joinRoom('stroke-room');
+  const stroke = { id: 's', type: 'freehand', points: [[0, 0]] };
+  a.trigger(EVENTS.DRAW_START, { roomId: 'stroke-room', element: stroke });
+
+  a.trigger(EVENTS.DRAW_MOVE, { roomId: 'stroke-room', elementId: 's', point: [5, 5] });
+  assert.deepEqual(b.last(EVENTS.DRAW_MOVE), { elementId: 's', userId: 'a10', point: [5, 5] });
+  b.trigger(EVENTS.DRAW_MOVE, { roomId: 'stroke-room', elementId: 's', point: [9, 9] });
+  a.trigger(EVENTS.DRAW_END, { roomId: 'stroke-room', elementId: 's' });
+  a.trigger(EVENTS.DRAW_MOVE, { roomId: 'stroke-room', elementId: 's', point: [7, 7] });
+
+  late.joinRoom('stroke-room');
+  assert.deepEqual(late.last('board-state')[0].points, [[0, 0], [5, 5]]);
+});
+
+test('SHAPE_RECOGNIZED replaces the freehand stroke it came from', () => {
+  const { connect } = createServer();
+  const [a, late] = ['a11', 'b11'].map(connect);
+  a.joinRoom('recognized-room');
+  a.trigger(EVENTS.DRAW_START, {
+    roomId: 'recognized-room',
+    element: { id: 's', type: 'freehand', points: [[0, 0], [10, 10]] }
+  });
+
+  const shape = { id: 's', type: 'circle', x: 5, y: 5, radius: 5 };
+  a.trigger(EVENTS.SHAPE_RECOGNIZED, { roomId: 'recognized-room', shape });
+
+  late.joinRoom('recognized-room');
+  assert.deepEqual(late.last('board-state'), [shape]);
+});
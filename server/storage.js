@@ -0,0 +1,120 @@
+const fs = require('fs');
+const path = require('path');
+
+const DATA_DIR = process.env.DATA_DIR || path.join(__dirname, 'data');
+
+// Room ids come straight from clients, so encode them before using as file names
+const fileNameFor = (roomId) => `${encodeURIComponent(roomId)}.json`;
+// Uploaded images live in a folder next to the room's file
+const imageDirFor = (roomId) => `${encodeURIComponent(roomId)}.images`;
+
+const directorySize = (dirPath) => {
+  try {
+    return fs.readdirSync(dirPath)
+      .reduce((total, name) => total + fs.statSync(path.join(dirPath, name)).size, 0);
+  } catch (err) {
+    if (err.code === 'ENOENT') return 0;
+    throw err;
+  }
+};
+
+const createFileStorage = (dir = path.join(DATA_DIR, 'rooms')) => {
+  fs.mkdirSync(dir, { recursive: true });
+
+  return {
+    load: (roomId) => {
+      try {
+        return JSON.parse(fs.readFileSync(path.join(dir, fileNameFor(roomId)), 'utf8'));
+      } catch (err) {
+        if (err.code !== 'ENOENT') {
+          console.error(`Failed to load room ${roomId}:`, err.message);
+        }
+        return null;
+      }
+    },
+
+    save: (roomId, data) => {
+      const filePath = path.join(dir, fileNameFor(roomId));
+      const tempPath = `${filePath}.tmp`;
+      // Write then rename so a crash mid-write never leaves a truncated board
+      fs.writeFileSync(tempPath, JSON.stringify(data));
+      fs.renameSync(tempPath, filePath);
+    },
+
+    remove: (roomId) => {
+      try {
+        fs.unlinkSync(path.join(dir, fileNameFor(roomId)));
+      } catch (err) {
+        if (err.code !== 'ENOENT') throw err;
+      }
+      fs.rmSync(path.join(dir, imageDirFor(roomId)), { recursive: true, force: true });
+    },
+
+    list: () => {
+      return fs.readdirSync(dir)
+        .filter(name => name.endsWith('.json'))
+        .map(name => decodeURIComponent(name.slice(0, -'.json'.length)));
+    },
+
+    // Image ids are generated by the server, so they are safe file names
+    saveImage: (roomId, imageId, data) => {
+      const imageDir = path.join(dir, imageDirFor(roomId));
+      fs.mkdirSync(imageDir, { recursive: true });
+      fs.writeFileSync(path.join(imageDir, imageId), data);
+    },
+
+    loadImage: (roomId, imageId) => {
+      try {
+        return fs.readFileSync(path.join(dir, imageDirFor(roomId), imageId));
+      } catch (err) {
+        if (err.code !== 'ENOENT') {
+          console.error(`Failed to load image ${imageId} of room ${roomId}:`, err.message);
+        }
+        return null;
+      }
+    },
+
+    imageBytes: (roomId) => directorySize(path.join(dir, imageDirFor(roomId)))
+  };
+};
+
+const createMemoryStorage = () => {
+  const data = new Map();
+  const images = new Map(); // roomId -> Map(imageId -> Buffer)
+
+  return {
+    load: (roomId) => (data.has(roomId) ? JSON.parse(data.get(roomId)) : null),
+    save: (roomId, room) => {
+      data.set(roomId, JSON.stringify(room));
+    },
+    remove: (roomId) => {
+      data.delete(roomId);
+      images.delete(roomId);
+    },
+    list: () => [...data.keys()],
+    saveImage: (roomId, imageId, buffer) => {
+      if (!images.has(roomId)) images.set(roomId, new Map());
+      images.get(roomId).set(imageId, buffer);
+    },
+    loadImage: (roomId, imageId) => images.get(roomId)?.get(imageId) || null,
+    imageBytes: (roomId) => [...(images.get(roomId)?.values() || [])]
+      .reduce((total, buffer) => total + buffer.length, 0)
+  };
+};
+
+const createStorage = (driver = process.env.STORAGE_DRIVER || 'file') => {
+  switch (driver) {
+    case 'memory':
+      return createMemoryStorage();
+    case 'file':
+      return createFileStorage();
+    default:
+      throw new Error(`Unknown storage driver: ${driver}`);
+  }
+};
+
+module.exports = {
+  createStorage,
+  createFileStorage,
+  createMemoryStorage
+};
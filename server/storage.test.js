@@ -0,0 +1,69 @@
+const { test, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createStorage, createFileStorage, createMemoryStorage } = require('./storage');
+
+const board = { elements: [{ id: 'a', type: 'line', points: [0, 0, 1, 1] }], messages: [] };
+
+const tempDirs = [];
+const tempDir = () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'rooms-'));
+  tempDirs.push(dir);
+  return dir;
+};
+after(() => tempDirs.forEach(dir => fs.rmSync(dir, { recursive: true, force: true })));
+
+// Both drivers have to behave the same
+const drivers = {
+  memory: () => createMemoryStorage(),
+  file: () => createFileStorage(tempDir())
+};
+
+Object.entries(drivers).forEach(([name, create]) => {
+  test(`${name} storage saves, loads, lists and removes rooms`, () => {
+    const storage = create();
+    assert.equal(storage.load('missing'), null);
+
+    storage.save('room 1/a', board);
+    storage.save('room-2', board);
+    assert.deepEqual(storage.load('room 1/a'), board);
+    assert.deepEqual(storage.list().sort(), ['room 1/a', 'room-2']);
+
+    storage.remove('room 1/a');
+    storage.remove('never-saved');
+    assert.equal(storage.load('room 1/a'), null);
+    assert.deepEqual(storage.list(), ['room-2']);
+  });
+
+  test(`${name} storage keeps images per room and drops them with the room`, () => {
+    const storage = create();
+    storage.saveImage('pics', 'one.png', Buffer.from('12345'));
+    storage.saveImage('pics', 'two.png', Buffer.from('123'));
+
+    assert.deepEqual(storage.loadImage('pics', 'one.png'), Buffer.from('12345'));
+    assert.equal(storage.loadImage('pics', 'three.png'), null);
+    assert.equal(storage.imageBytes('pics'), 8);
+    assert.equal(storage.imageBytes('other'), 0);
+
+    storage.remove('pics');
+    assert.equal(storage.loadImage('pics', 'one.png'), null);
+    assert.equal(storage.imageBytes('pics'), 0);
+  });
+});
+
+test('file storage keeps rooms for the next process using the folder', () => {
+  const dir = tempDir();
+  createFileStorage(dir).save('kept', board);
+
+  const reopened = createFileStorage(dir);
+  assert.deepEqual(reopened.load('kept'), board);
+  // Nothing half-written is left behind
+  assert.deepEqual(fs.readdirSync(dir), ['kept.json']);
+});
+
+test('createStorage rejects unknown drivers', () => {
+  assert.equal(typeof createStorage('memory').load, 'function');
+  assert.throws(() => createStorage('redis'), /Unknown storage driver: redis/);
+});